@@ -0,0 +1,93 @@
+// Benchmark for extractPdfText: sequential vs parallel page processing on a
+// generated fixture. Run with `npm run bench`.
+import { jsPDF } from "jspdf";
+import { extractPdfText } from "../src/lib/extractPdfText";
+import { config } from "../src/lib/config";
+
+const $ = (id) => document.getElementById(id);
+$("concurrency").value = config.extraction.concurrency;
+
+function log(line) {
+  $("log").textContent = line;
+}
+
+// A page image with a few lines of text, standing in for a scan.
+function scannedPageImage(n) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 1240;
+  canvas.height = 1754;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "#000";
+  ctx.font = "32px serif";
+  for (let line = 0; line < 30; line++) {
+    ctx.fillText(`Scanned page ${n}, line ${line + 1}: the quick brown fox jumps over the lazy dog.`, 80, 120 + line * 50);
+  }
+  return canvas.toDataURL("image/png");
+}
+
+// The fixture: `pages` A4 pages of text, with every `scanEvery`-th page an
+// image only.
+function buildFixture(pages, scanEvery) {
+  const pdf = new jsPDF({ unit: "pt", format: "a4" });
+  for (let n = 1; n <= pages; n++) {
+    if (n > 1) pdf.addPage();
+    if (scanEvery && n % scanEvery === 0) {
+      pdf.addImage(scannedPageImage(n), "PNG", 0, 0, 595, 842);
+      continue;
+    }
+    pdf.setFontSize(11);
+    for (let line = 0; line < 45; line++) {
+      pdf.text(`Page ${n}, line ${line + 1}: lorem ipsum dolor sit amet, consectetur adipiscing elit.`, 56, 60 + line * 16);
+    }
+  }
+  return new File([pdf.output("blob")], "fixture.pdf", { type: "application/pdf" });
+}
+
+async function timeRun(file, concurrency) {
+  const start = performance.now();
+  const { pages } = await extractPdfText(file, {
+    lang: "eng",
+    concurrency,
+    onProgress: ({ label }) => log(`concurrency ${concurrency}: ${label}`),
+  });
+  return { ms: performance.now() - start, ocrPages: pages.filter((p) => p.ocr).length };
+}
+
+function addRow(cells) {
+  const row = document.createElement("tr");
+  for (const cell of cells) {
+    const td = document.createElement("td");
+    td.textContent = cell;
+    row.appendChild(td);
+  }
+  $("results").tBodies[0].appendChild(row);
+  $("results").hidden = false;
+}
+
+$("run").addEventListener("click", async () => {
+  $("run").disabled = true;
+  try {
+    log("Building fixture…");
+    const file = buildFixture(Number($("pages").value), Number($("scanEvery").value));
+    // Warm up so the first timed run does not pay for loading the OCR model.
+    log("Warming up…");
+    await extractPdfText(buildFixture(1, 1), { lang: "eng", concurrency: 1 });
+
+    const sequential = await timeRun(file, 1);
+    const parallel = await timeRun(file, Number($("concurrency").value));
+    const runs = [
+      ["Sequential", 1, sequential],
+      ["Parallel", Number($("concurrency").value), parallel],
+    ];
+    for (const [name, concurrency, { ms, ocrPages }] of runs) {
+      addRow([name, concurrency, `${(ms / 1000).toFixed(2)} s`, ocrPages, `${(sequential.ms / ms).toFixed(2)}×`]);
+    }
+    log(`Done: ${file.size.toLocaleString()} byte fixture.`);
+  } catch (err) {
+    log(`Failed: ${err.message}`);
+  } finally {
+    $("run").disabled = false;
+  }
+});
@@ -0,0 +1,51 @@
+// Node entry point: the extraction and summarisation pipeline from src/lib,
+// reading files from disk. Used by the `precis` CLI and importable by scripts.
+import { readFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { DOMParser as XmlParser } from "@xmldom/xmldom";
+import { DOMParser as HtmlParser } from "linkedom";
+import { extractTextFromFile } from "../src/lib/extractText.js";
+import { documentText } from "../src/lib/document.js";
+import { summarise } from "../src/lib/summarise.js";
+import { terminateWorkers } from "../src/lib/ocrPool.js";
+
+// The Word, PowerPoint, EPUB and HTML extractors parse markup with the
+// standard DOMParser, which Node does not have. linkedom covers HTML but
+// ignores XML namespaces, which the Office formats are read by, so XML goes
+// to xmldom instead.
+class DOMParser {
+  parseFromString(source, type) {
+    return type === "text/html"
+      ? new HtmlParser().parseFromString(source, type)
+      : new XmlParser().parseFromString(source, type);
+  }
+}
+globalThis.DOMParser ??= DOMParser;
+
+export { FILE_EXTENSIONS } from "../src/lib/extractText.js";
+export { createProvider, PROVIDER_IDS } from "../src/lib/providers/index.js";
+export { MODES } from "../src/lib/modes.js";
+export { EXPORT_FORMATS, exportResult } from "../src/lib/exportResult.js";
+export { extractTextFromFile, summarise, terminateWorkers };
+
+// A file on disk as a File, the input the extractors take.
+export async function readAsFile(path) {
+  return new File([await readFile(path)], basename(path));
+}
+
+// Extracts the document at `path` (see extractTextFromFile).
+export async function extractFile(path, { lang = "auto", signal, onProgress } = {}) {
+  return extractTextFromFile(await readAsFile(path), lang, { signal, onProgress });
+}
+
+// Extracts and summarises the file at `path`. `options` are those of
+// summarise() plus `docLanguage`, the OCR language. Resolves to {doc, result}.
+// Call terminateWorkers() once done, or OCR workers keep Node running.
+export async function summariseFile(path, { docLanguage = "auto", signal, onProgress, ...options } = {}) {
+  const doc = await extractFile(path, { lang: docLanguage, signal, onProgress });
+  if (!documentText(doc).trim()) {
+    throw new Error("Could not extract any text from the document. It might be empty or unreadable.");
+  }
+  const result = await summarise({ ...options, doc, signal, onProgress });
+  return { doc, result };
+}
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+// Headless front end to the same extraction and summarisation pipeline as the
+// web app. Summarises each input file and writes the export next to it (or
+// into --out-dir); progress goes to stderr. Exits 1 if any file failed and 2
+// on bad usage.
+//
+//   GEMINI_API_KEY=... precis summarise report.pdf --length long --format json
+import { stat, mkdir, writeFile } from "node:fs/promises";
+import { basename, dirname, extname, join, resolve } from "node:path";
+import { parseArgs } from "node:util";
+import { glob, isDynamicPattern } from "tinyglobby";
+import { config } from "../src/lib/config.js";
+import { mapLimit } from "../src/lib/concurrency.js";
+import { errorTitle } from "../src/lib/errors.js";
+import {
+  EXPORT_FORMATS,
+  FILE_EXTENSIONS,
+  MODES,
+  PROVIDER_IDS,
+  createProvider,
+  exportResult,
+  summariseFile,
+  terminateWorkers,
+} from "./index.js";
+
+const LENGTHS = ["short", "medium", "long"];
+const FORMATS = EXPORT_FORMATS.map((f) => f.value);
+
+const USAGE = `Usage: precis summarise <file | directory | glob>... [options]
+
+Options:
+  -l, --length <length>      ${LENGTHS.join(" | ")} (default: medium)
+  -m, --mode <mode>          ${MODES.map((m) => m.id).join(" | ")} (default: standard)
+  -f, --format <format>      ${FORMATS.join(" | ")} (default: md)
+  -o, --out-dir <dir>        write exports here instead of next to each input
+      --stdout               print the md or json export of a single file
+                             instead of writing it
+      --appendix             append the extracted text to the export
+      --language <language>  summary language (default: the document's)
+      --doc-language <code>  OCR language, e.g. eng or deu (default: auto)
+      --provider <id>        ${PROVIDER_IDS.join(" | ")} (default: ${config.provider})
+      --model <name>         model to use instead of the configured one
+  -c, --concurrency <n>      files summarised at once (default: 1)
+  -h, --help                 show this help
+
+Directories are searched recursively for supported files
+(${FILE_EXTENSIONS.map((ext) => `.${ext}`).join(", ")}).
+
+Environment: GEMINI_API_KEY, VITE_LLM_PROVIDER, VITE_GEMINI_MODEL,
+VITE_OPENAI_BASE_URL, VITE_OPENAI_MODEL and the other VITE_* settings of
+the web app (see README).`;
+
+class UsageError extends Error {}
+
+function parse(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      length: { type: "string", short: "l", default: "medium" },
+      mode: { type: "string", short: "m", default: "standard" },
+      format: { type: "string", short: "f", default: "md" },
+      "out-dir": { type: "string", short: "o" },
+      stdout: { type: "boolean", default: false },
+      appendix: { type: "boolean", default: false },
+      language: { type: "string" },
+      "doc-language": { type: "string", default: "auto" },
+      provider: { type: "string", default: config.provider },
+      model: { type: "string" },
+      concurrency: { type: "string", short: "c", default: "1" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) return { help: true };
+
+  const [command, ...inputs] = positionals;
+  if (command !== "summarise" && command !== "summarize") {
+    throw new UsageError(command ? `Unknown command "${command}".` : "Missing command.");
+  }
+  if (!inputs.length) throw new UsageError("No input files given.");
+  const oneOf = (name, value, allowed) => {
+    if (!allowed.includes(value)) throw new UsageError(`--${name} must be one of: ${allowed.join(", ")}.`);
+  };
+  oneOf("length", values.length, LENGTHS);
+  oneOf("mode", values.mode, MODES.map((m) => m.id));
+  oneOf("format", values.format, FORMATS);
+  oneOf("provider", values.provider, PROVIDER_IDS);
+  if (values.stdout && !["md", "json"].includes(values.format)) {
+    throw new UsageError("--stdout only works with --format md or json.");
+  }
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new UsageError("--concurrency must be a positive whole number.");
+  }
+  return { ...values, concurrency, inputs };
+}
+
+const supported = (path) => FILE_EXTENSIONS.includes(extname(path).slice(1).toLowerCase());
+
+// Files named by the arguments: directories are searched for supported files,
+// globs are expanded and anything else is taken as a file path. Missing files
+// are reported by the run itself, so one typo does not stop the rest.
+async function expandInputs(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    const info = await stat(input).catch(() => null);
+    if (info?.isDirectory()) {
+      const patterns = FILE_EXTENSIONS.map((ext) => `**/*.${ext}`);
+      const found = await glob(patterns, { cwd: input, absolute: true, caseSensitiveMatch: false });
+      files.push(...found.sort());
+    } else if (!info && isDynamicPattern(input)) {
+      const found = await glob(input, { absolute: true });
+      if (!found.length) throw new UsageError(`No files match ${input}.`);
+      files.push(...found.filter(supported).sort());
+    } else {
+      files.push(resolve(input));
+    }
+  }
+  return [...new Set(files)];
+}
+
+// Gemini needs a key here: there is no proxy next to the CLI unless
+// VITE_API_URL points at one.
+function providerFor(options) {
+  // Local modes never call a model, so they need no key.
+  if (MODES.find((m) => m.id === options.mode)?.local) return null;
+  const overrides = options.model ? { model: options.model } : {};
+  if (options.provider === "gemini") {
+    const apiKey = process.env.GEMINI_API_KEY || config.gemini.apiKey;
+    if (!apiKey && !/^https?:\/\//.test(config.gemini.proxyUrl)) {
+      throw new UsageError("Set GEMINI_API_KEY, or VITE_API_URL to the URL of a running API proxy.");
+    }
+    overrides.apiKey = apiKey;
+  }
+  return createProvider(options.provider, overrides);
+}
+
+async function run(options) {
+  const files = await expandInputs(options.inputs);
+  if (!files.length) throw new UsageError("No supported files found.");
+  // Several exports on stdout would run together into one unreadable stream.
+  if (options.stdout && files.length > 1) {
+    throw new UsageError(`--stdout takes a single file, but the inputs name ${files.length}. Use --out-dir instead.`);
+  }
+  const provider = providerFor(options);
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    process.stderr.write("\nCancelling…\n");
+    controller.abort();
+  });
+  const { signal } = controller;
+
+  let failures = 0;
+  await mapLimit(
+    files,
+    options.concurrency,
+    async (path) => {
+      const name = files.length > 1 ? `${path}: ` : "";
+      let lastLabel = "";
+      const onProgress = ({ label }) => {
+        if (label && label !== lastLabel) process.stderr.write(`${name}${label}\n`);
+        lastLabel = label;
+      };
+      try {
+        const { doc, result } = await summariseFile(path, {
+          docLanguage: options["doc-language"],
+          length: options.length,
+          mode: options.mode,
+          language: options.language,
+          provider,
+          signal,
+          onProgress,
+        });
+        const fileName = basename(path);
+        const out = await exportResult(options.format, { fileName, length: options.length, result, doc }, {
+          appendix: options.appendix,
+        });
+        const bytes = Buffer.from(await out.content.arrayBuffer());
+        if (options.stdout) {
+          process.stdout.write(bytes);
+          return;
+        }
+        const dir = options["out-dir"] ? resolve(options["out-dir"]) : dirname(path);
+        await mkdir(dir, { recursive: true });
+        const target = join(dir, out.fileName);
+        await writeFile(target, bytes);
+        process.stderr.write(`${name}Wrote ${target}\n`);
+      } catch (e) {
+        if (signal.aborted) throw e;
+        failures++;
+        const reason = e.code === "ENOENT" ? "File not found." : e.message || "Something went wrong.";
+        process.stderr.write(`${path}: ${errorTitle(e)}: ${reason}\n`);
+      }
+    },
+    { signal }
+  );
+  return failures ? 1 : 0;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parse(process.argv.slice(2));
+    if (options.help) {
+      process.stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    return await run(options);
+  } catch (e) {
+    if (e instanceof UsageError || e.code?.startsWith("ERR_PARSE_ARGS")) {
+      process.stderr.write(`precis: ${e.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+    if (e.name === "AbortError") return 130;
+    process.stderr.write(`precis: ${e.message}\n`);
+    return 1;
+  } finally {
+    await terminateWorkers();
+  }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,138 @@
+// Small proxy between the browser and Gemini, so the API key stays on the
+// server. POST /api/summarise takes a Gemini generateContent body
+// ({contents, generationConfig, model}) and forwards it with the server's key;
+// add ?alt=sse to stream the reply. Upstream responses and errors are passed
+// through unchanged so the front end can read them as it reads Gemini's.
+//
+//   GEMINI_API_KEY=... npm run server
+import http from "node:http";
+import { createRateLimiter } from "./rateLimit.js";
+
+const model = process.env.GEMINI_MODEL || "gemini-2.0-flash";
+
+const config = {
+  port: Number(process.env.PORT ?? 8787),
+  apiKey: process.env.GEMINI_API_KEY,
+  // Used when a request names no model.
+  model,
+  // Models a request may ask for. Any other is refused rather than swapped
+  // for the default, so the client never labels or caches a result under a
+  // model that did not write it.
+  models: [...new Set([model, ...(process.env.GEMINI_MODELS || "").split(",").map((m) => m.trim()).filter(Boolean)])],
+  upstream: (process.env.UPSTREAM_URL || "https://generativelanguage.googleapis.com/v1beta").replace(/\/$/, ""),
+  // Prompts are capped at ~180k characters client-side; leave room for
+  // multi-byte text and the JSON around it.
+  maxBodyBytes: Number(process.env.MAX_BODY_BYTES) || 2 * 1024 * 1024,
+  rateLimit: Number(process.env.RATE_LIMIT) || 30,
+  rateWindowMs: Number(process.env.RATE_WINDOW_MS) || 60_000,
+  // Set when running behind a reverse proxy, so X-Forwarded-For is trusted.
+  trustProxy: process.env.TRUST_PROXY === "true",
+};
+
+const limiter = createRateLimiter({ limit: config.rateLimit, windowMs: config.rateWindowMs });
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function clientKey(req) {
+  const forwarded = config.trustProxy && req.headers["x-forwarded-for"];
+  return forwarded ? forwarded.split(",")[0].trim() : req.socket.remoteAddress;
+}
+
+async function readBody(req) {
+  const declared = Number(req.headers["content-length"]);
+  if (declared > config.maxBodyBytes) throw new HttpError(413, "Request body too large.");
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > config.maxBodyBytes) throw new HttpError(413, "Request body too large.");
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// The model to call and the body to send it. Only the prompt and generation
+// settings are forwarded; anything else in the body (tools, system
+// instructions) is dropped.
+function upstreamRequest(raw) {
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, "Request body must be JSON.");
+  }
+  if (!Array.isArray(body?.contents) || !body.contents.length) {
+    throw new HttpError(400, '"contents" must be a non-empty array.');
+  }
+  const model = body.model ?? config.model;
+  if (!config.models.includes(model)) {
+    throw new HttpError(400, `Model "${model}" is not available on this server (available: ${config.models.join(", ")}).`);
+  }
+  return { model, body: JSON.stringify({ contents: body.contents, generationConfig: body.generationConfig || {} }) };
+}
+
+async function handleSummarise(req, res, url) {
+  if (!config.apiKey) throw new HttpError(500, "GEMINI_API_KEY is not set on the server.");
+
+  const limit = limiter.check(clientKey(req));
+  if (!limit.ok) {
+    throw new HttpError(429, "Too many requests. Slow down and try again.", { "Retry-After": String(limit.retryAfter) });
+  }
+
+  const { model, body } = upstreamRequest(await readBody(req));
+  const stream = url.searchParams.get("alt") === "sse";
+  const method = stream ? "streamGenerateContent?alt=sse" : "generateContent";
+
+  // Stop the upstream call when the browser goes away (e.g. Cancel).
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  const upstream = await fetch(`${config.upstream}/models/${model}:${method}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-goog-api-key": config.apiKey },
+    body,
+    signal: controller.signal,
+  });
+
+  const headers = { "Content-Type": upstream.headers.get("content-type") || "application/json", "X-Model": model };
+  const retryAfter = upstream.headers.get("retry-after");
+  if (retryAfter) headers["Retry-After"] = retryAfter;
+  res.writeHead(upstream.status, headers);
+  if (!upstream.body) return res.end();
+  for await (const chunk of upstream.body) res.write(chunk);
+  res.end();
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  try {
+    if (url.pathname === "/api/summarise" && req.method === "POST") {
+      await handleSummarise(req, res, url);
+    } else if (url.pathname === "/api/health") {
+      sendJson(res, 200, { ok: true, model: config.model, models: config.models });
+    } else {
+      throw new HttpError(404, "Not found.");
+    }
+  } catch (err) {
+    if (err.name === "AbortError") return;
+    if (!(err instanceof HttpError)) console.error(err);
+    if (res.headersSent) return res.destroy();
+    const status = err instanceof HttpError ? err.status : 502;
+    sendJson(res, status, { error: { message: err instanceof HttpError ? err.message : "Upstream request failed." } }, err.headers);
+  }
+});
+
+server.listen(config.port, () => {
+  console.log(`API proxy on http://localhost:${server.address().port} -> ${config.upstream} (${config.model})`);
+});
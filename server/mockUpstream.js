@@ -0,0 +1,53 @@
+// Stand-in for the Gemini REST API, for trying the proxy without a key or
+// network access. Replies to generateContent and streamGenerateContent with a
+// canned summary built from the prompt.
+//
+//   npm run server:mock
+//   UPSTREAM_URL=http://localhost:8788 GEMINI_API_KEY=test npm run server
+import http from "node:http";
+
+const port = Number(process.env.MOCK_PORT ?? 8788);
+
+function reply(prompt) {
+  const words = prompt.split(/\s+/).filter(Boolean).length;
+  return JSON.stringify({
+    summary: `Mock summary of a ${words}-word prompt.`,
+    key_points: [{ text: "This reply came from the mock upstream.", sources: [1] }],
+  });
+}
+
+function candidate(text, finishReason) {
+  return { candidates: [{ content: { parts: [{ text }], role: "model" }, ...(finishReason && { finishReason }) }] };
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  const match = url.pathname.match(/^\/models\/([^/:]+):(generateContent|streamGenerateContent)$/);
+  if (req.method !== "POST" || !match) {
+    res.writeHead(404, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ error: { code: 404, message: "Not found" } }));
+  }
+  if (req.headers["x-goog-api-key"] !== (process.env.MOCK_API_KEY || "test")) {
+    res.writeHead(400, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ error: { code: 400, message: "API key not valid. Please pass a valid API key." } }));
+  }
+
+  let raw = "";
+  for await (const chunk of req) raw += chunk;
+  const prompt = JSON.parse(raw).contents?.[0]?.parts?.[0]?.text || "";
+  const text = reply(prompt);
+
+  if (match[2] === "generateContent") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(candidate(text, "STOP")));
+  }
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  const pieces = text.match(/.{1,20}/gs);
+  for (const [i, piece] of pieces.entries()) {
+    res.write(`data: ${JSON.stringify(candidate(piece, i === pieces.length - 1 ? "STOP" : undefined))}\r\n\r\n`);
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  res.end();
+});
+
+server.listen(port, () => console.log(`Mock Gemini upstream on http://localhost:${server.address().port}`));
@@ -0,0 +1,114 @@
+// Runs the proxy against the mock upstream, each on a free port.
+//
+//   npm test
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+
+const children = [];
+
+// Starts `script` with `env` and resolves to its base URL once it listens.
+function start(script, env) {
+  const child = spawn(process.execPath, [new URL(script, import.meta.url).pathname], {
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  children.push(child);
+  return new Promise((resolve, reject) => {
+    child.once("exit", (code) => reject(new Error(`${script} exited with code ${code}`)));
+    child.stdout.on("data", (chunk) => {
+      const match = /localhost:(\d+)/.exec(chunk);
+      if (match) resolve(`http://localhost:${match[1]}`);
+    });
+  });
+}
+
+function startProxy(upstream, env = {}) {
+  return start("./index.js", {
+    PORT: "0",
+    UPSTREAM_URL: upstream,
+    GEMINI_API_KEY: "test",
+    GEMINI_MODEL: "gemini-test",
+    GEMINI_MODELS: "gemini-other",
+    RATE_LIMIT: "100",
+    MAX_BODY_BYTES: "",
+    ...env,
+  });
+}
+
+const request = (extra = {}) => JSON.stringify({ contents: [{ parts: [{ text: "Summarise this short text." }] }], ...extra });
+
+const post = (url, body = request()) =>
+  fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+
+let upstream;
+let proxy;
+
+before(async () => {
+  upstream = await start("./mockUpstream.js", { MOCK_PORT: "0", MOCK_API_KEY: "test" });
+  proxy = await startProxy(upstream);
+});
+
+after(() => {
+  for (const child of children) child.kill();
+});
+
+test("passes generateContent replies through unchanged", async () => {
+  const direct = await fetch(`${upstream}/models/gemini-test:generateContent`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-goog-api-key": "test" },
+    body: request(),
+  });
+  const res = await post(`${proxy}/api/summarise`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/json");
+  assert.equal(res.headers.get("x-model"), "gemini-test");
+  assert.equal(await res.text(), await direct.text());
+});
+
+test("streams server-sent events through unchanged", async () => {
+  const direct = await fetch(`${upstream}/models/gemini-test:streamGenerateContent?alt=sse`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-goog-api-key": "test" },
+    body: request(),
+  });
+  const res = await post(`${proxy}/api/summarise?alt=sse`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "text/event-stream");
+  const text = await res.text();
+  assert.ok(text.split("\r\n\r\n").filter(Boolean).length > 1);
+  assert.equal(text, await direct.text());
+});
+
+test("calls the model the request names when the server serves it", async () => {
+  const res = await post(`${proxy}/api/summarise`, request({ model: "gemini-other" }));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-model"), "gemini-other");
+
+  const refused = await post(`${proxy}/api/summarise`, request({ model: "gemini-unknown" }));
+  assert.equal(refused.status, 400);
+  assert.match((await refused.json()).error.message, /"gemini-unknown" is not available/);
+});
+
+test("rejects bodies over the size limit with 413", async () => {
+  const small = await startProxy(upstream, { MAX_BODY_BYTES: "1000" });
+  const res = await post(`${small}/api/summarise`, request({ padding: "x".repeat(2000) }));
+  assert.equal(res.status, 413);
+  assert.equal((await res.json()).error.message, "Request body too large.");
+});
+
+test("answers 429 with Retry-After once a client passes the rate limit", async () => {
+  const limited = await startProxy(upstream, { RATE_LIMIT: "1", RATE_WINDOW_MS: "60000" });
+  assert.equal((await post(`${limited}/api/summarise`)).status, 200);
+  const res = await post(`${limited}/api/summarise`);
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get("retry-after")) > 0);
+  await res.body.cancel();
+});
+
+test("fails clearly when GEMINI_API_KEY is not set", async () => {
+  const keyless = await startProxy(upstream, { GEMINI_API_KEY: "" });
+  const res = await post(`${keyless}/api/summarise`);
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).error.message, "GEMINI_API_KEY is not set on the server.");
+});
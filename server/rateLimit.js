@@ -0,0 +1,27 @@
+// Fixed-window rate limiter keyed by client (IP address): at most `limit`
+// requests per `windowMs`. `check(key)` returns {ok, retryAfter}, where
+// retryAfter is in seconds.
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  // Forget clients whose window has ended so the map does not grow forever.
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    check(key) {
+      const now = Date.now();
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      if (w.count >= limit) return { ok: false, retryAfter: Math.ceil((w.resetAt - now) / 1000) };
+      w.count++;
+      return { ok: true };
+    },
+  };
+}
@@ -1,8 +1,53 @@
-import { useState, useMemo, useEffect } from "react";
+import { useState, useMemo, useEffect, useCallback, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { extractPdfText } from "./lib/extractPdfText";
-import { ocrImage } from "./lib/ocrImage";
-import { summariseWithGemini } from "./lib/gemini";
+import { guessFormat, ACCEPTED_FILES } from "./lib/extractText";
+import { summarise } from "./lib/summarise";
+import { synthesise } from "./lib/synthesise";
+import { LANGUAGES, languageLabel, isRtl } from "./lib/languages";
+import SelectField from "./components/SelectField";
+import FileQueue from "./components/FileQueue";
+import SynthesisPanel from "./components/SynthesisPanel";
+import HistorySidebar from "./components/HistorySidebar";
+import ChatPanel from "./components/ChatPanel";
+import ExportMenu from "./components/ExportMenu";
+import ModeSections from "./components/ModeSections";
+import TemplateEditor from "./components/TemplateEditor";
+import ProgressCard from "./components/ProgressCard";
+import EntityPanel from "./components/EntityPanel";
+import CompareView from "./components/CompareView";
+import RedactionReview from "./components/RedactionReview";
+import VerdictMark from "./components/VerdictMark";
+import CheckedText from "./components/CheckedText";
+import FaithfulnessBar from "./components/FaithfulnessBar";
+import ShareDialog from "./components/ShareDialog";
+import { documentText, citationRanges, formatCitation, citationLabel } from "./lib/document";
+import { extractCached, summaryCacheKey, getCachedResult, putCachedResult } from "./lib/cache";
+import {
+  saveHistoryEntry,
+  listHistory,
+  deleteHistoryEntry,
+  exportHistory,
+  importHistory,
+} from "./lib/historyDb";
+import { downloadFile } from "./lib/download";
+import { buildIndex } from "./lib/retrieve";
+import { askDocument } from "./lib/ask";
+import { extractEntities, entitiesCsv } from "./lib/entities";
+import { exportResult, resultMarkdown } from "./lib/exportResult";
+import { errorTitle } from "./lib/errors";
+import { MODES, getMode } from "./lib/modes";
+import { loadTemplates, saveTemplates } from "./lib/templates";
+import { verifyResult, judgeVerification } from "./lib/verify";
+import { createShareLink } from "./lib/shareLink";
+import {
+  loadRedactionRules,
+  saveRedactionRules,
+  findPii,
+  mergeFindings,
+  redactDocument,
+  redactValue,
+  restorePii,
+} from "./lib/redact";
 import './App.css'
 // Helper to format file size for better readability
 function formatBytes(bytes, decimals = 2) {
@@ -14,38 +59,161 @@ function formatBytes(bytes, decimals = 2) {
   return `${parseFloat((bytes / Math.pow(k, i)).toFixed(dm))} ${sizes[i]}`;
 }
 
-// Helper to extract text from different file types
-async function extractTextFromFile(fileToProcess) {
-  if (fileToProcess.type === "application/pdf") {
-    return await extractPdfText(fileToProcess);
-  }
-  if (fileToProcess.type?.startsWith("image/")) {
-    return await ocrImage(fileToProcess);
-  }
-  return await fileToProcess.text();
+// How many files are extracted/summarised at the same time
+const MAX_CONCURRENT = 2;
+
+function isActive(item) {
+  return item.status === "extracting" || item.status === "summarising";
 }
 
+// What to mask in anything sent about a document: the findings the user
+// reviewed, or for documents that skipped review (reopened from history)
+// whatever the current rules find.
+function findingsFor(doc, redaction, rules) {
+  if (redaction?.reviewed) return redaction.findings;
+  return doc && rules.enabled ? findPii(doc, rules) : [];
+}
+
+const VIEWS = [
+  { value: "summarise", label: "Summarise" },
+  { value: "compare", label: "Compare versions" },
+];
+
+const LENGTH_OPTIONS = [
+  { value: "short", label: "Short" },
+  { value: "medium", label: "Medium" },
+  { value: "long", label: "Long" },
+];
+
+const DOC_LANGUAGE_OPTIONS = [
+  { value: "auto", label: "Auto-detect" },
+  ...LANGUAGES.map((l) => ({ value: l.code, label: l.label })),
+];
+
+const SUMMARY_LANGUAGE_OPTIONS = [
+  { value: "", label: "Same as document" },
+  ...LANGUAGES.map((l) => ({ value: l.code, label: l.label })),
+];
+
 export default function App() {
-  const [file, setFile] = useState(null);
+  // Each queued file: {id, file, status, error, doc, result, chat}, where status is
+  // pending | extracting | review | summarising | done | failed | cancelled, and
+  // `progress` is the latest {stage, label, value} update. With masking on,
+  // `redaction` is {findings, reviewed} (see redact.js), and `judgement` the
+  // model's faithfulness check {status, verification}. Items reopened from
+  // history carry a {name, size} stand-in instead of a real File, plus their
+  // stored doc, so they can be re-summarised without the original bytes.
+  const [items, setItems] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [synthesis, setSynthesis] = useState(null);
   const [length, setLength] = useState("medium");
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState("");
-  const [result, setResult] = useState(null);
-  const [rawText, setRawText] = useState("");
+  // A built-in mode id, or "template:<id>" for a custom template
+  const [mode, setMode] = useState("standard");
+  const [templates, setTemplates] = useState(loadTemplates);
+  const [redactionRules, setRedactionRules] = useState(loadRedactionRules);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [docLanguage, setDocLanguage] = useState("auto");
+  const [summaryLanguage, setSummaryLanguage] = useState("");
+  const [showText, setShowText] = useState(false);
+  const [view, setView] = useState("summarise");
+  const [previewPage, setPreviewPage] = useState(null);
   const [copied, setCopied] = useState(false);
   const [dragOver, setDragOver] = useState(false);
   const [showPreview, setShowPreview] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  // Ids already handed to processItem, so a re-render never starts one twice
+  const started = useRef(new Set());
+  // AbortControllers of the files being processed, by id
+  const controllers = useRef(new Map());
+  // AbortController of the question being answered
+  const askController = useRef(null);
+  // AbortController of the synthesis being written
+  const synthesisController = useRef(null);
+
+  // The result panel shows whichever queued file is selected
+  const selected = items.find((it) => it.id === selectedId) || null;
+  const file = selected?.file || null;
+  const doc = selected?.doc || null;
+  const result = selected?.result || null;
+  const error = selected?.error || "";
+  const errorHeading = selected?.errorTitle || "Error";
+  // A file whose text was extracted but whose model call failed can still be
+  // summarised locally.
+  const offlineFallback =
+    selected?.status === "failed" && !selected.offline && !!doc?.segments.some((s) => s.text.trim());
+  const loading = !!selected && isActive(selected);
+  const reviewing = selected?.status === "review";
+  const doneItems = items.filter((it) => it.status === "done");
+  const pendingCount = items.filter((it) => it.status === "pending").length;
 
   const helper = useMemo(() => {
-    if (!file) return "Drop any document to get started, or choose a file.";
-    if (file.type === "application/pdf") return "PDF detected — we’ll parse its text.";
-    if (file.type?.startsWith("image/")) return "Image detected — we’ll run OCR.";
+    if (!items.length) return "Drop any documents to get started, or choose files.";
+    if (items.length > 1) return `${items.length} files queued — we’ll summarise ${MAX_CONCURRENT} at a time.`;
+    const format = guessFormat(file);
+    if (format === "pdf") return "PDF detected — we’ll parse its text and OCR any scanned pages.";
+    if (format === "image") return "Image detected — we’ll run OCR.";
+    if (format === "docx" || format === "pptx") return "Office document detected — we’ll read its text, tables and notes.";
+    if (format === "epub") return "EPUB detected — we’ll read it chapter by chapter.";
+    if (format === "html") return "Web page detected — we’ll strip navigation and boilerplate.";
+    if (format === "csv" || format === "tsv") return "Spreadsheet data detected — we’ll lay it out as tables.";
     return "Text/other file — we’ll read its contents.";
-  }, [file]);
+  }, [items.length, file]);
+
+  // Segments shown in the extracted text view, capped at ~100k characters
+  const visibleSegments = useMemo(() => {
+    const out = [];
+    let used = 0;
+    for (const segment of doc?.segments || []) {
+      if (!segment.text.trim()) continue;
+      if (used >= 100000) break;
+      out.push({ ...segment, text: segment.text.slice(0, 100000 - used) });
+      used += segment.text.length;
+    }
+    return out;
+  }, [doc]);
+
+  // Pages whose text came from OCR because they had no usable text layer
+  const ocrPages = useMemo(
+    () => (doc?.segments || []).filter((s) => s.ocr).map((s) => s.n),
+    [doc]
+  );
+
+  const modeOptions = useMemo(
+    () => [
+      ...MODES.map((m) => ({ value: m.id, label: m.label })),
+      ...templates.map((t) => ({ value: `template:${t.id}`, label: `Template: ${t.name}` })),
+    ],
+    [templates]
+  );
+
+  const findings = useMemo(
+    () => findingsFor(doc, selected?.redaction, redactionRules),
+    [doc, selected?.redaction, redactionRules]
+  );
+
+  // Every finished summary is checked against its source text locally; the
+  // model's judgement replaces that check once asked for.
+  const localVerification = useMemo(
+    () => (doc && result && !result.streaming ? verifyResult(doc, result) : null),
+    [doc, result]
+  );
+  const verification = selected?.judgement?.verification || localVerification;
+
+  // Retrieval index for questions about the selected document, over the
+  // masked text so retrieved passages can go to the model as they are
+  const searchIndex = useMemo(() => (doc ? buildIndex(redactDocument(doc, findings)) : null), [doc, findings]);
+
+  // A question still being answered is dropped when its document is no
+  // longer shown or the chat closes (e.g. while the summary is regenerated).
+  const chatOpen = !!result && !result.streaming;
+  useEffect(() => () => askController.current?.abort(), [doc, chatOpen]);
 
   // Create a revocable URL for PDF previews
   const filePreviewUrl = useMemo(() => {
-    if (file && (file.type === 'application/pdf' || file.type?.startsWith('image/'))) {
+    if (file instanceof Blob && ['pdf', 'image'].includes(guessFormat(file))) {
       return URL.createObjectURL(file);
     }
     return null;
@@ -60,11 +228,21 @@ export default function App() {
     };
   }, [filePreviewUrl]);
 
+  // Load saved summaries once
+  useEffect(() => {
+    listHistory()
+      .then(setHistory)
+      .catch((err) => console.error('Failed to load history: ', err));
+  }, []);
+
   // Handle Escape key for modals
   useEffect(() => {
     const handleEsc = (event) => {
       if (event.key === 'Escape') {
         if (showPreview) setShowPreview(false);
+        else if (showShare) setShowShare(false);
+        else if (showTemplates) setShowTemplates(false);
+        else if (showHistory) setShowHistory(false);
       }
     };
     window.addEventListener('keydown', handleEsc);
@@ -72,54 +250,501 @@ export default function App() {
     return () => {
       window.removeEventListener('keydown', handleEsc);
     };
-  }, [showPreview]);
+  }, [showPreview, showShare, showTemplates, showHistory]);
 
-  async function handleSummarise() {
-    if (!file) return;
-    try {
-      setLoading(true);
-      setError("");
-      setResult(null);
+  const updateItem = useCallback((id, patch) => {
+    setItems((prev) => prev.map((it) => (it.id === id ? { ...it, ...patch } : it)));
+  }, []);
 
-      const text = await extractTextFromFile(file);
-      setRawText(text);
+  const processItem = useCallback(
+    async (item) => {
+      const hasFile = item.file instanceof Blob;
+      const controller = new AbortController();
+      const { signal } = controller;
+      controllers.current.set(item.id, controller);
+      const onProgress = (progress) => updateItem(item.id, { progress });
+      updateItem(item.id, {
+        status: "extracting",
+        error: "",
+        result: null,
+        chat: [],
+        entities: null,
+        judgement: null,
+        progress: null,
+        doc: hasFile ? null : item.doc,
+      });
+      try {
+        // Identical bytes reuse the text extracted last time.
+        const { doc: extracted, fileHash } = hasFile
+          ? await extractCached(item.file, docLanguage, { signal, onProgress })
+          : { doc: item.doc, fileHash: item.fileHash };
+        const text = documentText(extracted);
+        updateItem(item.id, { doc: extracted });
 
-      if (!text.trim()) {
-        setError("Could not extract any text from the document. It might be empty or unreadable.");
-        return; // Stop further processing
+        if (!text.trim()) {
+          throw new Error("Could not extract any text from the document. It might be empty or unreadable.");
+        }
+
+        // An offline run summarises locally whatever mode is selected.
+        const runMode = item.offline ? "extractive" : mode;
+        const local = getMode(runMode).local;
+
+        // With masking on, stop here until the user has reviewed what will be
+        // masked; confirming queues the file again with the reviewed findings.
+        // Local modes send nothing, so there is nothing to review.
+        if (redactionRules.enabled && !local && !item.redaction?.reviewed) {
+          updateItem(item.id, { status: "review", redaction: { findings: findPii(extracted, redactionRules) }, progress: null });
+          return;
+        }
+        const masked = item.redaction?.reviewed ? item.redaction.findings : [];
+        const sent = redactDocument(extracted, masked);
+
+        updateItem(item.id, { status: "summarising" });
+        const template = runMode.startsWith("template:")
+          ? templates.find((t) => `template:${t.id}` === runMode)
+          : null;
+        // The same text with the same settings and model gets the stored
+        // result, unless the user asked to regenerate it. It was saved to
+        // history when it was first made. Results are cached with their
+        // placeholders, so the key is the masked text.
+        const cacheKey = await summaryCacheKey({
+          doc: sent,
+          length,
+          mode: template ? undefined : runMode,
+          template,
+          language: summaryLanguage,
+        });
+        const cached = item.force ? null : await getCachedResult(cacheKey);
+        if (cached) {
+          updateItem(item.id, {
+            status: "done",
+            result: { ...restorePii(cached, masked, [extracted]), cached: true },
+            fileHash,
+            length,
+            progress: null,
+          });
+          return;
+        }
+
+        // Render the summary progressively while the model streams it.
+        const out = await summarise({
+          doc: sent,
+          length,
+          language: summaryLanguage,
+          mode: template ? undefined : runMode,
+          template,
+          signal,
+          onProgress,
+          onPartial: (partial) =>
+            updateItem(item.id, {
+              result: {
+                ...restorePii(partial, masked, [extracted]),
+                unit: extracted.unit,
+                mode: template ? "custom" : runMode,
+                streaming: true,
+              },
+            }),
+        });
+        const restored = restorePii(out, masked, [extracted]);
+        updateItem(item.id, { status: "done", result: restored, fileHash, length, progress: null });
+        await putCachedResult(cacheKey, out);
+
+        // A failure to save history must not fail the summary itself.
+        try {
+          const entry = await saveHistoryEntry({
+            fileName: item.file.name,
+            fileSize: item.file.size,
+            fileHash,
+            length,
+            result: restored,
+            doc: extracted,
+          });
+          setHistory((prev) => [entry, ...prev]);
+        } catch (err) {
+          console.error('Failed to save history: ', err);
+        }
+      } catch (e) {
+        if (signal.aborted) {
+          updateItem(item.id, { status: "cancelled", error: "", result: null, progress: null });
+          return;
+        }
+        console.error(e);
+        updateItem(item.id, {
+          status: "failed",
+          error: e.message || "Something went wrong.",
+          errorTitle: errorTitle(e),
+          result: null,
+          progress: null,
+        });
+      } finally {
+        controllers.current.delete(item.id);
       }
+    },
+    [updateItem, docLanguage, length, summaryLanguage, mode, templates, redactionRules]
+  );
 
-      const out = await summariseWithGemini({ text, length });
-      setResult(out);
-    } catch (e) {
-      console.error(e);
-      setError(e.message || "Something went wrong.");
-    } finally {
-      setLoading(false);
+  // Work through the queue, keeping at most MAX_CONCURRENT files in flight
+  useEffect(() => {
+    if (!running) return;
+    const active = items.filter(isActive).length;
+    const next = items
+      .filter((it) => it.status === "pending" && !started.current.has(it.id))
+      .slice(0, Math.max(0, MAX_CONCURRENT - active));
+    if (!next.length && !active) {
+      setRunning(false);
+      return;
+    }
+    for (const item of next) {
+      started.current.add(item.id);
+      processItem(item);
     }
+  }, [items, running, processItem]);
+
+  function handleSummarise() {
+    if (!items.length) return;
+    // With nothing left to do, regenerate the selected file instead
+    if (!pendingCount && selected) requeue(selected.id);
+    resetSynthesis();
+    setRunning(true);
+  }
+
+  // `force` skips the result cache for this run, and `offline` summarises
+  // locally without a model
+  function requeue(id, { force = false, offline = false } = {}) {
+    started.current.delete(id);
+    setItems((prev) =>
+      prev.map((it) =>
+        it.id === id
+          ? {
+              ...it,
+              status: "pending",
+              error: "",
+              result: null,
+              chat: [],
+              entities: null,
+              judgement: null,
+              redaction: null,
+              force,
+              offline,
+              doc: it.file instanceof Blob ? null : it.doc,
+            }
+          : it
+      )
+    );
+  }
+
+  // Stops the queue and aborts every file in flight; pending files stay queued
+  function handleStop() {
+    setRunning(false);
+    for (const controller of controllers.current.values()) controller.abort();
+  }
+
+  function handleRetry(id) {
+    requeue(id);
+    setRunning(true);
+  }
+
+  function handleRegenerate(id) {
+    requeue(id, { force: true });
+    resetSynthesis();
+    setRunning(true);
+  }
+
+  // Fallback for a failed model call: the text is already extracted, so
+  // summarise it locally instead.
+  function handleSummariseOffline(id) {
+    requeue(id, { offline: true });
+    setRunning(true);
+  }
+
+  function handleRedactionRulesChange(rules) {
+    setRedactionRules(rules);
+    saveRedactionRules(rules);
+    // Files awaiting review are searched again under the new rules; items the
+    // user chose not to mask stay unmasked.
+    setItems((prev) =>
+      prev.map((it) => {
+        if (it.status !== "review") return it;
+        const kept = new Set(it.redaction.findings.filter((f) => !f.masked).map((f) => f.key));
+        const found = findPii(it.doc, rules).map((f) => ({ ...f, masked: !kept.has(f.key) }));
+        return { ...it, redaction: { findings: found } };
+      })
+    );
+  }
+
+  function handleToggleFinding(id, key) {
+    setItems((prev) =>
+      prev.map((it) =>
+        it.id === id
+          ? { ...it, redaction: { findings: it.redaction.findings.map((f) => (f.key === key ? { ...f, masked: !f.masked } : f)) } }
+          : it
+      )
+    );
+  }
+
+  // Queues a reviewed file again; processItem masks what the user kept.
+  function handleConfirmRedaction(id) {
+    started.current.delete(id);
+    setItems((prev) =>
+      prev.map((it) => (it.id === id ? { ...it, status: "pending", redaction: { ...it.redaction, reviewed: true } } : it))
+    );
+    setRunning(true);
+  }
+
+  function addFiles(fileList) {
+    const added = Array.from(fileList || []).map((f) => ({
+      id: crypto.randomUUID(),
+      file: f,
+      status: "pending",
+      error: "",
+      doc: null,
+      result: null,
+    }));
+    if (!added.length) return;
+    setItems((prev) => [...prev, ...added]);
+    if (!selected) setSelectedId(added[0].id);
   }
 
   function onDrop(e) {
     e.preventDefault();
     setDragOver(false);
-    const f = e.dataTransfer.files?.[0];
-    if (f) setFile(f);
+    addFiles(e.dataTransfer.files);
   }
 
   function onFilePick(e) {
-    const f = e.target.files?.[0];
-    if (f) setFile(f);
+    addFiles(e.target.files);
+    e.target.value = "";
+  }
+
+  function handleRemove(id) {
+    controllers.current.get(id)?.abort();
+    started.current.delete(id);
+    setItems((prev) => prev.filter((it) => it.id !== id));
+    if (id === selectedId) setSelectedId(items.find((it) => it.id !== id)?.id ?? null);
   }
 
   function handleCancel() {
-    setFile(null);
-    setResult(null);
-    setError("");
+    for (const controller of controllers.current.values()) controller.abort();
+    setItems([]);
+    setSelectedId(null);
+    setRunning(false);
+    resetSynthesis();
+    started.current.clear();
+  }
+
+  function openHistoryEntry(entry) {
+    setShowHistory(false);
+    const existing = items.find((it) => it.historyId === entry.id);
+    if (existing) {
+      setSelectedId(existing.id);
+      return;
+    }
+    const id = crypto.randomUUID();
+    setItems((prev) => [
+      ...prev,
+      {
+        id,
+        historyId: entry.id,
+        file: { name: entry.fileName, size: entry.fileSize, type: "" },
+        fileHash: entry.fileHash,
+        length: entry.length,
+        status: "done",
+        error: "",
+        doc: entry.doc,
+        result: entry.result,
+      },
+    ]);
+    setSelectedId(id);
+  }
+
+  async function handleDeleteHistory(id) {
+    try {
+      await deleteHistoryEntry(id);
+      setHistory((prev) => prev.filter((e) => e.id !== id));
+    } catch (err) {
+      console.error('Failed to delete history entry: ', err);
+      alert('Failed to delete history entry.');
+    }
+  }
+
+  async function handleExportHistory() {
+    try {
+      const json = await exportHistory();
+      downloadFile(`precis-history-${new Date().toISOString().slice(0, 10)}.json`, json, "application/json");
+    } catch (err) {
+      console.error('Failed to export history: ', err);
+      alert('Failed to export history.');
+    }
+  }
+
+  async function handleImportHistory(jsonFile) {
+    try {
+      const count = await importHistory(await jsonFile.text());
+      setHistory(await listHistory());
+      alert(`Imported ${count} ${count === 1 ? 'entry' : 'entries'}.`);
+    } catch (err) {
+      console.error('Failed to import history: ', err);
+      alert(`Failed to import history: ${err.message}`);
+    }
+  }
+
+  function handleSaveTemplate(template) {
+    const next = templates.some((t) => t.id === template.id)
+      ? templates.map((t) => (t.id === template.id ? template : t))
+      : [...templates, template];
+    setTemplates(next);
+    saveTemplates(next);
+    setMode(`template:${template.id}`);
+  }
+
+  function handleDeleteTemplate(id) {
+    const next = templates.filter((t) => t.id !== id);
+    setTemplates(next);
+    saveTemplates(next);
+    if (mode === `template:${id}`) setMode("standard");
+  }
+
+  // Drops the synthesis, stopping it if it is still being written, once the
+  // batch it was made from changes.
+  function resetSynthesis() {
+    synthesisController.current?.abort();
+    setSynthesis(null);
+  }
+
+  async function handleSynthesise() {
+    const controller = new AbortController();
+    synthesisController.current = controller;
+    setSynthesis({ status: "running" });
+    // One set of placeholders across every document, so a name masked in two
+    // summaries is the same placeholder in the prompt.
+    const merged = mergeFindings(doneItems.map((it) => findingsFor(it.doc, it.redaction, redactionRules)));
+    try {
+      const out = await synthesise({
+        documents: doneItems.map((it) => redactValue({ name: it.file.name, ...it.result }, merged)),
+        length,
+        language: summaryLanguage,
+        signal: controller.signal,
+      });
+      setSynthesis({ status: "done", result: restorePii(out, merged, doneItems.map((it) => it.doc)) });
+    } catch (e) {
+      if (controller.signal.aborted) return;
+      console.error(e);
+      setSynthesis({ status: "failed", error: e.message || "Something went wrong.", errorTitle: errorTitle(e) });
+    }
+  }
+
+  function updateTurn(itemId, turnId, patch) {
+    setItems((prev) =>
+      prev.map((it) =>
+        it.id === itemId
+          ? { ...it, chat: (it.chat || []).map((t) => (t.id === turnId ? { ...t, ...patch } : t)) }
+          : it
+      )
+    );
+  }
+
+  async function handleAsk(question) {
+    if (!selected || !searchIndex) return;
+    const itemId = selected.id;
+    const turnId = crypto.randomUUID();
+    const earlier = (selected.chat || []).filter((t) => t.status === "done" && t.answer);
+    const controller = new AbortController();
+    askController.current = controller;
+    setItems((prev) =>
+      prev.map((it) =>
+        it.id === itemId
+          ? { ...it, chat: [...(it.chat || []), { id: turnId, question, status: "answering", answer: "", passages: [] }] }
+          : it
+      )
+    );
+    try {
+      const out = await askDocument({
+        index: searchIndex,
+        question: redactValue(question, findings),
+        history: redactValue(earlier, findings),
+        language: summaryLanguage,
+        signal: controller.signal,
+        onPartial: ({ answer }) => updateTurn(itemId, turnId, { answer: restorePii(answer, findings, [doc]) }),
+      });
+      const { answer, passages } = restorePii(out, findings, [doc]);
+      updateTurn(itemId, turnId, { status: "done", answer, passages });
+    } catch (e) {
+      if (controller.signal.aborted) {
+        updateTurn(itemId, turnId, { status: "failed", error: "Cancelled before the answer arrived." });
+        return;
+      }
+      console.error(e);
+      updateTurn(itemId, turnId, { status: "failed", error: e.message || "Something went wrong." });
+    } finally {
+      if (askController.current === controller) askController.current = null;
+    }
+  }
+
+  async function handleExtractEntities() {
+    if (!selected || !doc) return;
+    const itemId = selected.id;
+    const setEntities = (entities) =>
+      setItems((prev) => prev.map((it) => (it.id === itemId ? { ...it, entities } : it)));
+    setEntities({ status: "running", list: selected.entities?.list || [] });
+    try {
+      const list = await extractEntities({ doc: redactDocument(doc, findings), language: summaryLanguage });
+      setEntities({ status: "done", list: restorePii(list, findings, [doc]) });
+    } catch (e) {
+      console.error(e);
+      setEntities({ status: "failed", list: [], error: e.message || "Something went wrong.", errorTitle: errorTitle(e) });
+    }
+  }
+
+  // Has the model judge the local faithfulness check; it sees the claims
+  // and their evidence, masked like everything else sent.
+  async function handleJudge() {
+    if (!selected || !result || !localVerification) return;
+    const itemId = selected.id;
+    const setJudgement = (judgement) =>
+      setItems((prev) => prev.map((it) => (it.id === itemId ? { ...it, judgement } : it)));
+    setJudgement({ status: "running" });
+    try {
+      const judged = await judgeVerification({
+        result: redactValue(result, findings),
+        verification: redactValue(localVerification, findings),
+        language: summaryLanguage,
+      });
+      setJudgement({ status: "done", verification: restorePii(judged, findings, [doc]) });
+    } catch (e) {
+      console.error(e);
+      setJudgement({ status: "failed", error: e.message || "Something went wrong.", errorTitle: errorTitle(e) });
+    }
+  }
+
+  function handleExportEntities() {
+    const list = selected?.entities?.list;
+    if (!list?.length) return;
+    const name = (file?.name || "document").replace(/\.[^.]+$/, "");
+    downloadFile(`${name}-entities.csv`, entitiesCsv(list, doc.unit), "text/csv");
+  }
+
+  // Jump to a cited page in the PDF preview, or to a cited paragraph in the
+  // extracted text view
+  function openCitation(n) {
+    if (doc?.unit === "page" && filePreviewUrl) {
+      setPreviewPage(n);
+      setShowPreview(true);
+      return;
+    }
+    openSegment(n);
+  }
+
+  // Open the extracted text view at segment `n`
+  function openSegment(n) {
+    setShowText(true);
+    requestAnimationFrame(() => {
+      document.getElementById(`segment-${n}`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+    });
   }
 
   async function handleCopy() {
     if (!result) return;
-    const textToCopy = `## Summary\n\n${result.summary}\n\n## Key Points\n\n${result.key_points.map(p => `- ${p}`).join('\n')}`;
+    const textToCopy = resultMarkdown({ fileName: file?.name, result });
     try {
       await navigator.clipboard.writeText(textToCopy);
       setCopied(true);
@@ -130,30 +755,45 @@ export default function App() {
     }
   }
 
-  async function handleShare() {
-    if (!result || !file) return;
-    const shareData = {
-      title: `Summary of ${file.name}`,
-      text: `Summary:\n${result.summary}`,
-      url: window.location.href,
-    };
+  async function handleExport(format, options) {
+    if (!result) return;
     try {
-      if (navigator.share && navigator.canShare(shareData)) {
-        await navigator.share(shareData);
-      } else {
-        handleCopy();
-        alert('Web Share is not supported by your browser. Summary copied to clipboard instead!');
-      }
-    } catch (error) {
-      console.error('Error sharing:', error);
+      const out = await exportResult(format, { fileName: file?.name, length: selected?.length || length, result, doc }, options);
+      downloadFile(out.fileName, out.content);
+    } catch (err) {
+      console.error('Failed to export: ', err);
+      alert(`Failed to export: ${err.message}`);
     }
   }
 
+  // Read-only link carrying the result itself (see shareLink.js)
+  function handleCreateShareLink(passphrase) {
+    return createShareLink(
+      { fileName: file.name, length: selected?.length || length, result, language: doc?.language },
+      { passphrase }
+    );
+  }
+
   const itemVariants = {
     initial: { opacity: 0, y: 20 },
     animate: { opacity: 1, y: 0, transition: { duration: 0.4 } },
   };
 
+  const maskToggle = (
+    <label
+      className="flex items-center gap-2 text-sm text-gray-300"
+      title="Replace emails, phone numbers, IBANs, ID numbers and names with placeholders before anything is sent to the model"
+    >
+      <input
+        type="checkbox"
+        checked={redactionRules.enabled}
+        onChange={(e) => handleRedactionRulesChange({ ...redactionRules, enabled: e.target.checked })}
+        className="accent-blue-600"
+      />
+      Mask personal data
+    </label>
+  );
+
   const appName = "PrecisAI";
 
   const titleContainerVariants = {
@@ -213,7 +853,15 @@ export default function App() {
         variants={{ animate: { transition: { staggerChildren: 0.1 } } }}
       >
         {/* Header */}
-        <motion.header variants={itemVariants} className="mb-12 text-center">
+        <motion.header variants={itemVariants} className="relative mb-12 text-center">
+          <button
+            type="button"
+            onClick={() => setShowHistory(true)}
+            className="absolute right-0 top-0 inline-flex items-center gap-2 bg-gray-800 hover:bg-gray-700 border border-gray-700 px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M3 12a9 9 0 1 0 3-6.7L3 8"/><path d="M3 3v5h5"/><path d="M12 7v5l4 2"/></svg>
+            <span>History{history.length ? ` (${history.length})` : ''}</span>
+          </button>
           <motion.h1
             variants={titleContainerVariants}
             initial="hidden"
@@ -249,230 +897,480 @@ export default function App() {
           </motion.p>
         </motion.header>
 
-        {/* Dropzone */}
-        <motion.section
-          variants={itemVariants}
-          role="button"
-          tabIndex={0}
-          onKeyDown={(e) => {
-            if (e.key === "Enter" || e.key === " ") {
-              document.getElementById("fileInput")?.click();
-            }
-          }}
-          onDragOver={(e) => {
-            e.preventDefault();
-            if (!dragOver) setDragOver(true);
-          }}
-          onDragLeave={() => setDragOver(false)}
-          onDrop={onDrop}
-          className={`rounded-2xl border-2 border-dashed p-8 text-center transition-all ${
-            dragOver
-              ? "border-blue-500 bg-blue-500/10 ring-2 ring-blue-500"
-              : "border-gray-700 bg-gray-900/40 hover:border-gray-600"
-          }`}
-          aria-label="File dropzone"
-        >
-          <div className="mx-auto max-w-xl">
-            <div className="text-4xl mb-2">📄</div>
-            <p className="font-medium">Drag & drop your file here</p>
-            <p className="text-gray-400 text-sm mt-1">{helper}</p>
-
-            <div className="mt-6 flex flex-wrap items-center justify-center gap-4 min-h-[40px]">
-              <motion.label
-                className={`inline-flex items-center gap-2 ${
-                  file ? "cursor-not-allowed" : "cursor-pointer"
+        {/* Summarise or compare */}
+        <div className="mb-6 flex justify-center">
+          <div className="inline-flex rounded-lg border border-gray-800 bg-gray-900/60 p-1" role="tablist">
+            {VIEWS.map((v) => (
+              <button
+                key={v.value}
+                type="button"
+                role="tab"
+                aria-selected={view === v.value}
+                onClick={() => setView(v.value)}
+                className={`px-4 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                  view === v.value ? "bg-blue-600 text-white" : "text-gray-400 hover:text-gray-200"
                 }`}
               >
-                <input
-                  id="fileInput"
-                  type="file"
-                  accept="application/pdf,image/*,text/plain"
-                  hidden
-                  onChange={onFilePick}
-                  disabled={!!file}
+                {v.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {view === "compare" ? (
+          <CompareView
+            docLanguage={docLanguage}
+            summaryLanguage={summaryLanguage}
+            redactionRules={redactionRules}
+            onRedactionRulesChange={handleRedactionRulesChange}
+            controls={
+              <>
+                <SelectField
+                  id="compare-doc-language-select"
+                  label="Document language:"
+                  value={docLanguage}
+                  onChange={setDocLanguage}
+                  options={DOC_LANGUAGE_OPTIONS}
+                />
+                <SelectField
+                  id="compare-summary-language-select"
+                  label="Summary language:"
+                  value={summaryLanguage}
+                  onChange={setSummaryLanguage}
+                  options={SUMMARY_LANGUAGE_OPTIONS}
                 />
-                <motion.span
-                  className={`px-4 py-2 rounded-md text-white transition ${
-                    file ? "bg-blue-600/60" : "bg-blue-600 hover:bg-blue-700"
-                  }`}
-                  whileHover={{ scale: file ? 1 : 1.05 }}
-                  whileTap={{ scale: file ? 1 : 0.95 }}
+                {maskToggle}
+              </>
+            }
+          />
+        ) : (
+          <>
+            {/* Dropzone */}
+            <motion.section
+              variants={itemVariants}
+              role="button"
+              tabIndex={0}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" || e.key === " ") {
+                  document.getElementById("fileInput")?.click();
+                }
+              }}
+              onDragOver={(e) => {
+                e.preventDefault();
+                if (!dragOver) setDragOver(true);
+              }}
+              onDragLeave={() => setDragOver(false)}
+              onDrop={onDrop}
+              className={`rounded-2xl border-2 border-dashed p-8 text-center transition-all ${
+                dragOver
+                  ? "border-blue-500 bg-blue-500/10 ring-2 ring-blue-500"
+                  : "border-gray-700 bg-gray-900/40 hover:border-gray-600"
+              }`}
+              aria-label="File dropzone"
+            >
+              <div className="mx-auto max-w-xl">
+                <div className="text-4xl mb-2">📄</div>
+                <p className="font-medium">Drag & drop your files here</p>
+                <p className="text-gray-400 text-sm mt-1">{helper}</p>
+
+                <div className="mt-6 flex flex-wrap items-center justify-center gap-4 min-h-[40px]">
+                  <motion.label className="inline-flex items-center gap-2 cursor-pointer">
+                    <input
+                      id="fileInput"
+                      type="file"
+                      accept={ACCEPTED_FILES}
+                      multiple
+                      hidden
+                      onChange={onFilePick}
+                    />
+                    <motion.span
+                      className="px-4 py-2 rounded-md text-white transition bg-blue-600 hover:bg-blue-700"
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                    >
+                      {items.length ? "Add files" : "Choose files"}
+                    </motion.span>
+                  </motion.label>
+
+                  <AnimatePresence>
+                    {items.length > 0 && (
+                      <motion.button
+                        type="button"
+                        onClick={handleCancel}
+                        className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded-md text-white"
+                        title="Clear all files"
+                        initial={{ opacity: 0, scale: 0.5 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        exit={{ opacity: 0, scale: 0.5 }}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                      >
+                        Clear
+                      </motion.button>
+                    )}
+                  </AnimatePresence>
+                </div>
+              </div>
+            </motion.section>
+
+            {/* Queue */}
+            {items.length > 0 && (
+              <motion.section variants={itemVariants} className="mt-4">
+                <FileQueue
+                  items={items}
+                  selectedId={selectedId}
+                  onSelect={setSelectedId}
+                  onRetry={handleRetry}
+                  onRemove={handleRemove}
+                  formatSize={formatBytes}
+                />
+              </motion.section>
+            )}
+
+            {/* Controls */}
+            <motion.section variants={itemVariants} className="mt-6 flex flex-wrap items-center justify-center gap-4">
+              <div className="flex items-center gap-2">
+                <SelectField
+                  id="mode-select"
+                  label="Mode:"
+                  value={mode}
+                  onChange={setMode}
+                  options={modeOptions}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowTemplates(true)}
+                  className="bg-gray-800 hover:bg-gray-700 border border-gray-700 px-3 py-2 rounded-md text-sm transition-colors"
+                  title="Create and edit your own prompt templates"
                 >
-                  Choose file
-                </motion.span>
-              </motion.label>
-
-              <AnimatePresence>
-                {file && (
-                  <motion.button
-                    type="button"
-                    onClick={handleCancel}
-                    className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded-md text-white"
-                    title="Clear selected file"
-                    initial={{ opacity: 0, scale: 0.5 }}
-                    animate={{ opacity: 1, scale: 1 }}
-                    exit={{ opacity: 0, scale: 0.5 }}
-                    whileHover={{ scale: 1.05 }}
-                    whileTap={{ scale: 0.95 }}
+                  Templates…
+                </button>
+              </div>
+              <SelectField
+                id="length-select"
+                label="Summary length:"
+                value={length}
+                onChange={setLength}
+                options={LENGTH_OPTIONS}
+              />
+              <SelectField
+                id="doc-language-select"
+                label="Document language:"
+                value={docLanguage}
+                onChange={setDocLanguage}
+                options={DOC_LANGUAGE_OPTIONS}
+              />
+              <SelectField
+                id="summary-language-select"
+                label="Summary language:"
+                value={summaryLanguage}
+                onChange={setSummaryLanguage}
+                options={SUMMARY_LANGUAGE_OPTIONS}
+              />
+              {maskToggle}
+
+            <motion.button
+              onClick={handleSummarise}
+              disabled={!items.length || running}
+              className={`px-6 py-2 rounded-md text-white font-semibold ${
+                running || !items.length ? "bg-blue-600/60 cursor-not-allowed" : "bg-blue-600 hover:bg-blue-700 shadow-lg shadow-blue-500/20"
+              }`}
+              whileHover={{ scale: (running || !items.length) ? 1 : 1.05 }}
+              whileTap={{ scale: (running || !items.length) ? 1 : 0.95 }}
+              transition={{ type: 'spring', stiffness: 400, damping: 17 }}
+            >
+              {running
+                ? "Analyzing Documents…"
+                : pendingCount > 1
+                  ? `Summarise ${pendingCount} Files`
+                  : "Generate Summary"}
+            </motion.button>
+            {running && (
+              <button
+                type="button"
+                onClick={handleStop}
+                className="px-4 py-2 rounded-md text-white font-semibold bg-red-600 hover:bg-red-700 transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+            </motion.section>
+
+            {/* Divider */}
+            {(error || result || loading || reviewing) && <hr className="my-6 border-gray-800" />}
+
+            <div className="space-y-6">
+              {/* Staged progress for the selected file, with cancel */}
+              {loading && (
+                <ProgressCard
+                  fileName={file?.name}
+                  label={result?.streaming ? "Writing summary…" : selected.progress?.label || "Starting…"}
+                  value={result?.streaming ? null : selected.progress?.value ?? null}
+                  onCancel={handleStop}
+                />
+              )}
+
+              {reviewing && (
+                <RedactionReview
+                  key={selected.id}
+                  fileName={file.name}
+                  doc={doc}
+                  findings={selected.redaction.findings}
+                  rules={redactionRules}
+                  onToggle={(key) => handleToggleFinding(selected.id, key)}
+                  onRulesChange={handleRedactionRulesChange}
+                  onConfirm={() => handleConfirmRedaction(selected.id)}
+                  onCancel={() => updateItem(selected.id, { status: "cancelled", redaction: null })}
+                />
+              )}
+
+              <AnimatePresence mode="wait">
+                {/* Error */}
+                {error && (
+                  <motion.div
+                    key="error"
+                    className="bg-red-900/50 text-red-200 border border-red-800 p-4 rounded-lg"
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -10 }}
                   >
-                    Cancel
-                  </motion.button>
+                    <strong className="font-semibold">⚠️ {errorHeading}:</strong> {error}
+                    {offlineFallback && (
+                      <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+                        <button
+                          type="button"
+                          onClick={() => handleSummariseOffline(selected.id)}
+                          className="px-3 py-1.5 rounded-md font-medium text-white bg-gray-700 hover:bg-gray-600 transition-colors"
+                        >
+                          Summarise offline instead
+                        </button>
+                        <span className="text-red-200/80">
+                          Picks key sentences from the extracted text without a model.
+                        </span>
+                      </div>
+                    )}
+                  </motion.div>
                 )}
-              </AnimatePresence>
-            </div>
 
-            <div className="mt-4 h-5">
-              <AnimatePresence>
-                {file && (
-                  <motion.p
-                    className="text-sm text-gray-300"
-                    initial={{ opacity: 0, y: -10 }}
+                {/* Result & Preview Layout */}
+                {result && (
+                  <motion.section
+                    key={`result-${selectedId}`}
+                    className="bg-gray-900/70 backdrop-blur-sm border border-gray-800 rounded-2xl p-6"
+                    initial={{ opacity: 0, y: 20 }}
                     animate={{ opacity: 1, y: 0 }}
-                    exit={{ opacity: 0, y: 10 }}
+                    exit={{ opacity: 0, y: -20 }}
+                    transition={{ duration: 0.5 }}
                   >
-                    Selected: <span className="font-semibold">{file.name}</span>{" "}
-                    <span className="text-gray-500">({formatBytes(file.size)})</span>
-                  </motion.p>
-                )}
-              </AnimatePresence>
-            </div>
-          </div>
-        </motion.section>
-
-        {/* Controls */}
-        <motion.section variants={itemVariants} className="mt-6 flex flex-wrap items-center justify-center gap-4">
-          <div className="flex items-center gap-2">
-            <label htmlFor="length-select" className="text-sm text-gray-300">Summary length:</label>
-            <div className="relative">
-              <select
-                id="length-select"
-                value={length}
-                onChange={(e) => setLength(e.target.value)}
-                className="bg-gray-800 border border-gray-700 p-2 rounded-md appearance-none pr-8 focus:ring-2 focus:ring-blue-500 focus:outline-none"
-              >
-                <option value="short">Short</option>
-                <option value="medium">Medium</option>
-                <option value="long">Long</option>
-              </select>
-              <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-400">
-                <svg className="fill-current h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><path d="M9.293 12.95l.707.707L15.657 8l-1.414-1.414L10 10.828 5.757 6.586 4.343 8z"/></svg>
-              </div>
-            </div>
-          </div>
+                    {!result.streaming && (
+                      <div className="flex flex-wrap items-center gap-3 mb-4">
+                        <motion.button whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }} onClick={handleCopy} className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 px-3 py-1.5 rounded-md text-sm font-medium transition-colors disabled:opacity-50" disabled={copied}>
+                          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect width="14" height="14" x="8" y="8" rx="2" ry="2"/><path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"/></svg>
+                          <span>{copied ? 'Copied!' : 'Copy'}</span>
+                        </motion.button>
+                        <ExportMenu onExport={handleExport} />
+                        <motion.button whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }} onClick={() => setShowShare(true)} className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 px-3 py-1.5 rounded-md text-sm font-medium transition-colors">
+                          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.59" x2="15.42" y1="13.51" y2="17.49"/><line x1="15.41" x2="8.59" y1="6.51" y2="10.49"/></svg>
+                          <span>Share</span>
+                        </motion.button>
+                        {filePreviewUrl && (
+                          <motion.button whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }} onClick={() => { setPreviewPage(null); setShowPreview(true); }} className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 px-3 py-1.5 rounded-md text-sm font-medium transition-colors">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/></svg>
+                            <span>Preview</span>
+                          </motion.button>
+                        )}
+                      </div>
+                    )}
 
-        <motion.button
-          onClick={handleSummarise}
-          disabled={!file || loading}
-          className={`px-6 py-2 rounded-md text-white font-semibold ${
-            loading || !file ? "bg-blue-600/60 cursor-not-allowed" : "bg-blue-600 hover:bg-blue-700 shadow-lg shadow-blue-500/20"
-          }`}
-          whileHover={{ scale: (loading || !file) ? 1 : 1.05 }}
-          whileTap={{ scale: (loading || !file) ? 1 : 0.95 }}
-          transition={{ type: 'spring', stiffness: 400, damping: 17 }}
-        >
-          {loading ? "Analyzing Document…" : "Generate Summary"}
-        </motion.button>
-        </motion.section>
-
-        {/* Divider */}
-        {(error || result) && <hr className="my-6 border-gray-800" />}
-
-        <div className="space-y-6">
-          <AnimatePresence mode="wait">
-            {/* Error */}
-            {error && (
-              <motion.div
-                key="error"
-                className="bg-red-900/50 text-red-200 border border-red-800 p-4 rounded-lg"
-                initial={{ opacity: 0, y: 10 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, y: -10 }}
-              >
-                <strong className="font-semibold">⚠️ Error:</strong> {error}
-              </motion.div>
-            )}
+                    <div className="flex items-baseline justify-between gap-3 mb-3">
+                      <h2 className="text-xl font-semibold">
+                        {result.mode && result.mode !== "standard" ? result.modeLabel || "Summary" : "Summary"}
+                      </h2>
+                      <div className="flex items-center gap-2 text-xs">
+                        {result.cached && (
+                          <>
+                            <span
+                              title="Same document, settings and model as an earlier run"
+                              className="rounded-full border border-emerald-800 bg-emerald-900/40 px-2 py-0.5 text-emerald-200"
+                            >
+                              Cached
+                            </span>
+                            <button
+                              type="button"
+                              onClick={() => handleRegenerate(selected.id)}
+                              disabled={running}
+                              className="text-blue-400 hover:text-blue-300 disabled:text-gray-600 disabled:cursor-not-allowed"
+                            >
+                              Regenerate
+                            </button>
+                          </>
+                        )}
+                        {result.model && <span className="text-gray-500">via {result.model}</span>}
+                      </div>
+                    </div>
+                    {result.extractive && (
+                      <p className="mb-3 text-sm text-gray-300 bg-gray-800/60 border border-gray-700 rounded-md px-3 py-2">
+                        Extractive summary — sentences quoted directly from the document and picked without a model, not rewritten prose.
+                      </p>
+                    )}
+                    {result.chunks > 1 && (
+                      <p className="mb-3 text-sm text-amber-200 bg-amber-900/30 border border-amber-800/60 rounded-md px-3 py-2">
+                        Long document — summarised in {result.chunks} chunks covering the full text, then merged into one summary.
+                      </p>
+                    )}
+                    {ocrPages.length > 0 && (
+                      <p className="mb-3 text-sm text-sky-200 bg-sky-900/30 border border-sky-800/60 rounded-md px-3 py-2">
+                        No text layer on {ocrPages.length === 1 ? "1 page" : `${ocrPages.length} pages`} — read with OCR: {citationLabel("page", ocrPages)}.
+                      </p>
+                    )}
+                    <p className="mb-5 leading-relaxed text-gray-200" dir="auto">
+                      {verification ? (
+                        <CheckedText
+                          text={result.summary}
+                          figures={verification.figures}
+                          unit={doc.unit}
+                          onOpenCitation={openCitation}
+                        />
+                      ) : (
+                        result.summary
+                      )}
+                      {result.streaming && <span className="inline-block w-2 h-4 ml-1 align-middle bg-blue-400 animate-pulse" aria-hidden="true" />}
+                    </p>
 
-            {/* Result & Preview Layout */}
-            {result && (
-              <motion.section
-                key="result"
-                className="bg-gray-900/70 backdrop-blur-sm border border-gray-800 rounded-2xl p-6"
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, y: -20 }}
-                transition={{ duration: 0.5 }}
-              >
-                <div className="flex flex-wrap items-center gap-3 mb-4">
-                  <motion.button whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }} onClick={handleCopy} className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 px-3 py-1.5 rounded-md text-sm font-medium transition-colors disabled:opacity-50" disabled={copied}>
-                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect width="14" height="14" x="8" y="8" rx="2" ry="2"/><path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"/></svg>
-                    <span>{copied ? 'Copied!' : 'Copy'}</span>
-                  </motion.button>
-                  {navigator.share && (
-                    <motion.button whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }} onClick={handleShare} className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 px-3 py-1.5 rounded-md text-sm font-medium transition-colors">
-                      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.59" x2="15.42" y1="13.51" y2="17.49"/><line x1="15.41" x2="8.59" y1="6.51" y2="10.49"/></svg>
-                      <span>Share</span>
-                    </motion.button>
-                  )}
-                  {filePreviewUrl && (
-                    <motion.button whileHover={{ scale: 1.1 }} whileTap={{ scale: 0.9 }} onClick={() => setShowPreview(true)} className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 px-3 py-1.5 rounded-md text-sm font-medium transition-colors">
-                      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/></svg>
-                      <span>Preview</span>
-                    </motion.button>
-                  )}
-                </div>
+                    {verification && (
+                      <FaithfulnessBar
+                        verification={verification}
+                        judgement={selected.judgement}
+                        disabled={loading}
+                        onJudge={handleJudge}
+                      />
+                    )}
+
+                    <ModeSections
+                      result={result}
+                      onOpenCitation={openCitation}
+                      citationHint={doc?.unit === "page" ? "Open this page in the preview" : "Show this passage in the extracted text"}
+                    />
 
-                <h2 className="text-xl font-semibold mb-3">Summary</h2>
-                <p className="mb-5 leading-relaxed text-gray-200">{result.summary}</p>
-
-                {!!result.key_points?.length && (
-                  <>
-                    <h3 className="font-semibold mb-2">Key Points</h3>
-                    <ul className="list-disc list-inside space-y-2 text-gray-300">
-                      {result.key_points.map((kp, i) => (
-                        <li key={i}>{kp}</li>
-                      ))}
-                    </ul>
-                  </>
+                    {!!result.key_points?.length && (
+                      <>
+                        <h3 className="font-semibold mb-2">Key Points</h3>
+                        <ul className="list-disc list-inside space-y-2 text-gray-300">
+                          <AnimatePresence initial={false}>
+                            {result.key_points.map((kp, i) => (
+                              <motion.li key={i} dir="auto" initial={{ opacity: 0, x: -10 }} animate={{ opacity: 1, x: 0 }}>
+                                {kp.text}
+                                {citationRanges(kp.sources).map(([from, to]) => (
+                                  <button
+                                    key={from}
+                                    type="button"
+                                    onClick={() => openCitation(from)}
+                                    className="ml-2 inline-flex items-center rounded-full border border-blue-800 bg-blue-900/40 px-2 py-0.5 text-xs text-blue-200 hover:bg-blue-800/60 transition-colors align-middle"
+                                    title={doc?.unit === "page" ? "Open this page in the preview" : "Show this passage in the extracted text"}
+                                  >
+                                    {formatCitation(result.unit, [from, to])}
+                                  </button>
+                                ))}
+                                {verification?.keyPoints[i] && (
+                                  <VerdictMark check={verification.keyPoints[i]} unit={doc.unit} onOpenCitation={openCitation} />
+                                )}
+                              </motion.li>
+                            ))}
+                          </AnimatePresence>
+                        </ul>
+                      </>
+                    )}
+
+                    {!result.streaming && doc && (
+                      <EntityPanel
+                        unit={doc.unit}
+                        entities={selected?.entities || null}
+                        disabled={loading}
+                        onRun={handleExtractEntities}
+                        onOpenSegment={openSegment}
+                        onExport={handleExportEntities}
+                      />
+                    )}
+
+                    <details
+                      className="mt-6 group"
+                      open={showText}
+                      onToggle={(e) => setShowText(e.currentTarget.open)}
+                    >
+                      <summary className="cursor-pointer select-none text-sm text-gray-400 hover:text-gray-200 transition-colors">
+                        Show extracted text
+                        {doc?.language && <span className="ml-2 text-xs text-gray-500">({languageLabel(doc.language)})</span>}
+                      </summary>
+                      <div
+                        dir={isRtl(doc?.language) ? "rtl" : "ltr"}
+                        className="mt-2 whitespace-pre-wrap font-mono text-sm bg-black/40 border border-gray-800 rounded-lg p-4 max-h-80 overflow-auto space-y-4"
+                      >
+                        {visibleSegments.map((s) => (
+                          <div key={s.n} id={`segment-${s.n}`} dir="auto" className="scroll-mt-4">
+                            <span className="select-none text-xs text-gray-500">
+                              {formatCitation(doc.unit, [s.n, s.n])}
+                              {s.ocr && " · OCR"}
+                            </span>
+                            {"\n"}
+                            {s.text}
+                          </div>
+                        ))}
+                      </div>
+                    </details>
+
+                    {!result.streaming && (
+                      <ChatPanel
+                        unit={doc?.unit || result.unit}
+                        turns={selected?.chat || []}
+                        onAsk={handleAsk}
+                        onOpenCitation={openCitation}
+                      />
+                    )}
+                  </motion.section>
                 )}
+              </AnimatePresence>
 
-                <details className="mt-6 group">
-                  <summary className="cursor-pointer select-none text-sm text-gray-400 hover:text-gray-200 transition-colors">
-                    Show extracted text
-                  </summary>
-                  <pre className="mt-2 whitespace-pre-wrap text-sm bg-black/40 border border-gray-800 rounded-lg p-4 max-h-80 overflow-auto">
-{rawText.slice(0, 100000)}
-                  </pre>
-                </details>
-              </motion.section>
-            )}
-          </AnimatePresence>
-        </div>
+              {/* Cross-document synthesis, once a batch has finished */}
+              {doneItems.length >= 2 && (
+                <SynthesisPanel
+                  synthesis={synthesis}
+                  docCount={doneItems.length}
+                  disabled={running}
+                  onRun={handleSynthesise}
+                />
+              )}
+            </div>
+          </>
+        )}
       </motion.div>
 
-      {/* Loading overlay */}
-      <AnimatePresence>
-        {loading && (
-          <motion.div
-            className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50"
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-          >
-            <motion.div
-              className="flex items-center gap-3 bg-gray-900 border border-gray-800 px-5 py-4 rounded-xl shadow-2xl"
-              initial={{ scale: 0.5, opacity: 0 }}
-              animate={{ scale: 1, opacity: 1 }}
-              exit={{ scale: 0.5, opacity: 0 }}
-            >
-              <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
-                <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" opacity="0.25"></circle>
-                <path d="M4 12a8 8 0 0 1 8-8" fill="none" stroke="currentColor" strokeWidth="4"></path>
-              </svg>
-              <span>{`Analyzing ${file?.name || 'document'}…`}</span>
-            </motion.div>
-          </motion.div>
-        )}
-      </AnimatePresence>
+      {showShare && result && file && (
+        <ShareDialog
+          key={selectedId}
+          fileName={file.name}
+          onCreate={handleCreateShareLink}
+          onClose={() => setShowShare(false)}
+        />
+      )}
+
+      {showTemplates && (
+        <TemplateEditor
+          templates={templates}
+          onSave={handleSaveTemplate}
+          onDelete={handleDeleteTemplate}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+
+      <HistorySidebar
+        open={showHistory}
+        entries={history}
+        onClose={() => setShowHistory(false)}
+        onOpen={openHistoryEntry}
+        onDelete={handleDeleteHistory}
+        onExport={handleExportHistory}
+        onImport={handleImportHistory}
+      />
 
       {/* Preview Modal */}
       <AnimatePresence>
@@ -505,8 +1403,8 @@ export default function App() {
                 </motion.button>
               </div>
               <div className="flex-grow overflow-auto">
-                {file.type === 'application/pdf' ? (
-                  <iframe src={filePreviewUrl} className="w-full h-[calc(90vh-100px)] rounded-lg border-gray-700 bg-white" title="PDF Preview" />
+                {guessFormat(file) === 'pdf' ? (
+                  <iframe key={previewPage} src={previewPage ? `${filePreviewUrl}#page=${previewPage}` : filePreviewUrl} className="w-full h-[calc(90vh-100px)] rounded-lg border-gray-700 bg-white" title="PDF Preview" />
                 ) : (
                   <div className="flex justify-center items-center h-full">
                     <img src={filePreviewUrl} alt="Image Preview" className="max-w-full max-h-full object-contain rounded-lg" />
@@ -0,0 +1,105 @@
+import { useState } from "react";
+import { citationRanges, formatCitation } from "../lib/document";
+
+function Passages({ unit, passages, onOpenCitation }) {
+  if (!passages.length) return null;
+  return (
+    <details className="mt-2">
+      <summary className="cursor-pointer select-none text-xs text-gray-500 hover:text-gray-300 transition-colors">
+        Based on {passages.length === 1 ? "1 passage" : `${passages.length} passages`}:{" "}
+        {citationRanges(passages.map((p) => p.n)).map((r) => formatCitation(unit, r)).join(", ")}
+      </summary>
+      <ul className="mt-2 space-y-2">
+        {passages.map((p, i) => (
+          <li key={i} className="rounded-md border border-gray-800 bg-black/30 p-2 text-xs text-gray-400">
+            <button
+              type="button"
+              onClick={() => onOpenCitation(p.n)}
+              className="mb-1 inline-flex items-center rounded-full border border-blue-800 bg-blue-900/40 px-2 py-0.5 text-blue-200 hover:bg-blue-800/60 transition-colors"
+            >
+              {formatCitation(unit, [p.n, p.n])}
+            </button>
+            <p className="whitespace-pre-wrap line-clamp-6" dir="auto">{p.text}</p>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+// Questions and answers about the current document. Each turn is
+// {id, question, status, answer, passages, error}, where status is
+// answering | done | failed and a done turn with a null answer was refused.
+export default function ChatPanel({ unit, turns, onAsk, onOpenCitation }) {
+  const [question, setQuestion] = useState("");
+  const busy = turns.some((t) => t.status === "answering");
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const q = question.trim();
+    if (!q || busy) return;
+    onAsk(q);
+    setQuestion("");
+  }
+
+  return (
+    <div className="mt-6 border-t border-gray-800 pt-5">
+      <h3 className="font-semibold mb-1">Ask the document</h3>
+      <p className="text-sm text-gray-400 mb-4">
+        Answers use only the passages of this document that match your question.
+      </p>
+
+      {!!turns.length && (
+        <ol className="space-y-4 mb-4">
+          {turns.map((t) => (
+            <li key={t.id} className="space-y-2 text-sm">
+              <p className="ml-auto w-fit max-w-[85%] rounded-lg bg-blue-900/40 border border-blue-800/60 px-3 py-2" dir="auto">
+                {t.question}
+              </p>
+              <div className="max-w-[85%] rounded-lg bg-gray-800/60 border border-gray-700 px-3 py-2">
+                {t.status === "failed" && <p className="text-red-300">⚠️ {t.error}</p>}
+                {t.status === "answering" && (
+                  <p className="text-gray-200" dir="auto">
+                    {t.answer || <span className="text-gray-400">Searching the document…</span>}
+                    <span className="inline-block w-2 h-4 ml-1 align-middle bg-blue-400 animate-pulse" aria-hidden="true" />
+                  </p>
+                )}
+                {t.status === "done" &&
+                  (t.answer ? (
+                    <p className="text-gray-200 whitespace-pre-wrap" dir="auto">{t.answer}</p>
+                  ) : (
+                    <p className="text-amber-200">
+                      {t.passages.length
+                        ? "The closest passages in this document don't answer that question."
+                        : "Nothing in this document seems relevant to that question, so I can't answer it from the document."}
+                    </p>
+                  ))}
+                {t.status === "done" && t.answer && (
+                  <Passages unit={unit} passages={t.passages} onOpenCitation={onOpenCitation} />
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="e.g. What's the termination clause?"
+          dir="auto"
+          className="flex-1 bg-gray-800 border border-gray-700 p-2 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+        />
+        <button
+          type="submit"
+          disabled={busy || !question.trim()}
+          className="px-4 py-2 rounded-md text-white text-sm font-semibold bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/60 disabled:cursor-not-allowed transition-colors"
+        >
+          {busy ? "Answering…" : "Ask"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import VerdictMark from "./VerdictMark";
+
+// `text` with each checked figure (see verifyResult) marked by its verdict.
+export default function CheckedText({ text, figures, unit, onOpenCitation }) {
+  const parts = [];
+  let at = 0;
+  for (const figure of figures) {
+    if (figure.start < at) continue;
+    parts.push(text.slice(at, figure.start));
+    parts.push(
+      <VerdictMark key={figure.start} check={figure} unit={unit} onOpenCitation={onOpenCitation}>
+        {text.slice(figure.start, figure.end)}
+      </VerdictMark>
+    );
+    at = figure.end;
+  }
+  parts.push(text.slice(at));
+  return parts;
+}
@@ -0,0 +1,259 @@
+import { useRef, useState } from "react";
+import { ACCEPTED_FILES } from "../lib/extractText";
+import { extractCached } from "../lib/cache";
+import { documentText } from "../lib/document";
+import { diffDocuments } from "../lib/diff";
+import { compareDocuments, CHANGE_CATEGORIES } from "../lib/compare";
+import { errorTitle } from "../lib/errors";
+import { findPii, mergeFindings, redactValue, restorePii } from "../lib/redact";
+import ProgressCard from "./ProgressCard";
+import DiffView from "./DiffView";
+import RedactionReview from "./RedactionReview";
+
+const KIND_TONES = {
+  added: "border-emerald-800 bg-emerald-900/40 text-emerald-200",
+  removed: "border-red-800 bg-red-900/40 text-red-200",
+  changed: "border-amber-800 bg-amber-900/40 text-amber-200",
+};
+
+function FileSlot({ label, file, onPick }) {
+  const [dragOver, setDragOver] = useState(false);
+  return (
+    <label
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragOver(true);
+      }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragOver(false);
+        if (e.dataTransfer.files[0]) onPick(e.dataTransfer.files[0]);
+      }}
+      className={`block cursor-pointer rounded-2xl border-2 border-dashed p-6 text-center transition-all ${
+        dragOver ? "border-blue-500 bg-blue-500/10" : "border-gray-700 bg-gray-900/40 hover:border-gray-600"
+      }`}
+    >
+      <input
+        type="file"
+        accept={ACCEPTED_FILES}
+        hidden
+        onChange={(e) => {
+          if (e.target.files[0]) onPick(e.target.files[0]);
+          e.target.value = "";
+        }}
+      />
+      <p className="text-xs font-semibold uppercase tracking-wide text-gray-500">{label}</p>
+      <p className="mt-2 truncate font-medium" title={file?.name}>{file ? file.name : "Drop a file or click to choose"}</p>
+    </label>
+  );
+}
+
+// Compares two files, e.g. two versions of a contract: a paragraph-aligned
+// diff of their text plus a model-written summary of the substantive
+// changes, each linked to its place in the diff. `controls` are the shared
+// language selectors. With masking on, the run stops after extraction at the
+// same review screen as a single file, listing what `redactionRules` found in
+// both files; the differences and file names are then sent with the reviewed
+// items replaced by placeholders. `onRedactionRulesChange` saves rules edited
+// there.
+export default function CompareView({ docLanguage, summaryLanguage, redactionRules, onRedactionRulesChange, controls }) {
+  const [before, setBefore] = useState(null);
+  const [after, setAfter] = useState(null);
+  // {id, status: running | review | done | failed, label, names, docs, diff,
+  // units, findings, comparison, error, errorTitle}
+  const [run, setRun] = useState(null);
+  const [focused, setFocused] = useState(null);
+  const controller = useRef(null);
+  const running = run?.status === "running";
+  const update = (patch) => setRun((prev) => ({ ...prev, ...patch }));
+
+  // Runs `task(signal)` as the current run's work, so Cancel can abort it.
+  async function track(task) {
+    const ctrl = new AbortController();
+    controller.current = ctrl;
+    const { signal } = ctrl;
+    try {
+      await task(signal);
+    } catch (e) {
+      if (signal.aborted) {
+        setRun(null);
+        return;
+      }
+      console.error(e);
+      update({ status: "failed", error: e.message || "Something went wrong.", errorTitle: errorTitle(e) });
+    } finally {
+      if (controller.current === ctrl) controller.current = null;
+    }
+  }
+
+  async function handleCompare() {
+    if (!before || !after || running) return;
+    // Files picked while this run is under review do not change what it sends.
+    const names = { before: before.name, after: after.name };
+    setRun({ id: crypto.randomUUID(), status: "running", label: "Starting…", names });
+    setFocused(null);
+    await track(async (signal) => {
+      const docs = [];
+      for (const file of [before, after]) {
+        const { doc } = await extractCached(file, docLanguage, {
+          signal,
+          onProgress: ({ label }) => update({ label: `${file.name}: ${label}` }),
+        });
+        if (!documentText(doc).trim()) throw new Error(`Could not extract any text from ${file.name}.`);
+        docs.push(doc);
+      }
+      const diff = diffDocuments(docs[0], docs[1]);
+      const units = { before: docs[0].unit, after: docs[1].unit };
+      // With masking on, nothing is sent until the user has reviewed it.
+      if (redactionRules.enabled) {
+        const findings = mergeFindings(docs.map((d) => findPii(d, redactionRules)));
+        update({ status: "review", docs, diff, units, findings });
+        return;
+      }
+      // Show the diff while the model works on the summary.
+      update({ diff, units, label: "Waiting for model" });
+      await summariseChanges(diff, names, [], docs, signal);
+    });
+  }
+
+  async function summariseChanges(diff, names, findings, docs, signal) {
+    const comparison = await compareDocuments({
+      diff: redactValue(diff, findings),
+      names: redactValue(names, findings),
+      language: summaryLanguage,
+      signal,
+      onProgress: ({ label }) => update({ label }),
+    });
+    update({ status: "done", comparison: restorePii(comparison, findings, docs) });
+  }
+
+  function handleConfirmRedaction() {
+    const { diff, names, findings, docs } = run;
+    update({ status: "running", label: "Waiting for model" });
+    track((signal) => summariseChanges(diff, names, findings, docs, signal));
+  }
+
+  function handleToggleFinding(key) {
+    update({ findings: run.findings.map((f) => (f.key === key ? { ...f, masked: !f.masked } : f)) });
+  }
+
+  // Finds the items again under the new rules; items the user chose not to
+  // mask stay unmasked.
+  function handleRulesChange(rules) {
+    onRedactionRulesChange(rules);
+    const kept = new Set(run.findings.filter((f) => !f.masked).map((f) => f.key));
+    const found = mergeFindings(run.docs.map((d) => findPii(d, rules)));
+    update({ findings: found.map((f) => ({ ...f, masked: !kept.has(f.key) })) });
+  }
+
+  function openHunk(id) {
+    setFocused(id);
+    document.getElementById(`hunk-${id}`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+
+  // Both files' text, so the review preview covers what may be sent of either
+  const reviewDoc = run?.status === "review" ? { ...run.docs[1], segments: run.docs.flatMap((d) => d.segments) } : null;
+
+  const categoryLabel = (id) => CHANGE_CATEGORIES.find((c) => c.id === id)?.label || id;
+
+  return (
+    <div className="space-y-6">
+      <section className="grid gap-4 sm:grid-cols-2">
+        <FileSlot label="Before" file={before} onPick={setBefore} />
+        <FileSlot label="After" file={after} onPick={setAfter} />
+      </section>
+
+      <section className="flex flex-wrap items-center justify-center gap-4">
+        {controls}
+        <button
+          type="button"
+          onClick={handleCompare}
+          disabled={!before || !after || running}
+          className="px-6 py-2 rounded-md text-white font-semibold bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/60 disabled:cursor-not-allowed transition-colors"
+        >
+          {running ? "Comparing…" : "Compare"}
+        </button>
+      </section>
+
+      {running && (
+        <ProgressCard
+          fileName={`${run.names.before} and ${run.names.after}`}
+          label={run.label}
+          value={null}
+          onCancel={() => controller.current?.abort()}
+        />
+      )}
+
+      {run?.status === "review" && (
+        <RedactionReview
+          fileName={`${run.names.before} and ${run.names.after}`}
+          doc={reviewDoc}
+          findings={run.findings}
+          rules={redactionRules}
+          onToggle={handleToggleFinding}
+          onRulesChange={handleRulesChange}
+          onConfirm={handleConfirmRedaction}
+          onCancel={() => setRun(null)}
+        />
+      )}
+
+      {run?.status === "failed" && (
+        <div className="bg-red-900/50 text-red-200 border border-red-800 p-4 rounded-lg">
+          <strong className="font-semibold">⚠️ {run.errorTitle || "Error"}:</strong> {run.error}
+        </div>
+      )}
+
+      {run?.diff && (
+        <section className="bg-gray-900/70 backdrop-blur-sm border border-gray-800 rounded-2xl p-6">
+          <div className="flex items-baseline justify-between gap-3 mb-3">
+            <h2 className="text-xl font-semibold">What changed</h2>
+            {run.comparison?.model && <span className="text-xs text-gray-500">via {run.comparison.model}</span>}
+          </div>
+          <p className="mb-4 text-sm text-gray-400">
+            {run.diff.hunks.length === 1 ? "1 change" : `${run.diff.hunks.length} changes`} between{" "}
+            <span className="text-gray-200">{run.names.before}</span> and <span className="text-gray-200">{run.names.after}</span>.
+          </p>
+
+          {run.comparison?.summary && (
+            <p className="mb-5 leading-relaxed text-gray-200" dir="auto">{run.comparison.summary}</p>
+          )}
+
+          {!!run.comparison?.changes.length && (
+            <>
+              <h3 className="font-semibold mb-2">Substantive changes</h3>
+              <ul className="mb-6 space-y-2">
+                {run.comparison.changes.map((c, i) => (
+                  <li key={i} className="rounded-lg border border-gray-800 bg-gray-800/40 px-3 py-2 text-sm" dir="auto">
+                    <span className={`mr-2 inline-flex rounded-full border px-2 py-0.5 text-xs ${KIND_TONES[c.kind]}`}>
+                      {c.kind}
+                    </span>
+                    <span className="mr-2 text-xs text-gray-500">{categoryLabel(c.category)}</span>
+                    <span className="text-gray-200">{c.description}</span>
+                    {c.hunks.map((h) => (
+                      <button
+                        key={h}
+                        type="button"
+                        onClick={() => openHunk(h)}
+                        className="ml-2 inline-flex items-center rounded-full border border-blue-800 bg-blue-900/40 px-2 py-0.5 text-xs text-blue-200 hover:bg-blue-800/60 transition-colors align-middle"
+                        title="Show this change in the diff"
+                      >
+                        #{h}
+                      </button>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          {run.status === "done" && run.diff.hunks.length > 0 && !run.comparison.changes.length && (
+            <p className="mb-6 text-sm text-gray-400">The model found no substantive changes, only wording or formatting.</p>
+          )}
+
+          <h3 className="font-semibold mb-2">Text diff</h3>
+          <DiffView key={run.id} diff={run.diff} units={run.units} focused={focused} />
+        </section>
+      )}
+    </div>
+  );
+}
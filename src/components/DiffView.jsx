@@ -0,0 +1,129 @@
+import { useMemo, useState } from "react";
+import { formatCitation } from "../lib/document";
+
+// Unchanged paragraphs shown on each side of a change; longer unchanged
+// stretches are folded.
+const CONTEXT = 1;
+
+function Words({ runs, side }) {
+  return runs.map((run, i) => {
+    if (run.type === "equal") return <span key={i}>{run.text}</span>;
+    if (side === "before" && run.type === "delete") {
+      return <del key={i} className="bg-red-800/60 text-red-100 no-underline line-through decoration-red-300/70">{run.text}</del>;
+    }
+    if (side === "after" && run.type === "insert") {
+      return <ins key={i} className="bg-emerald-800/60 text-emerald-100 no-underline">{run.text}</ins>;
+    }
+    return null;
+  });
+}
+
+function Cell({ paragraph, unit, tone, children }) {
+  if (!paragraph) return <div className="rounded-md border border-dashed border-gray-800" />;
+  return (
+    <div className={`whitespace-pre-wrap rounded-md border px-3 py-2 ${tone}`} dir="auto">
+      <span className="select-none text-xs text-gray-500">{formatCitation(unit, [paragraph.n, paragraph.n])} </span>
+      {children || paragraph.text}
+    </div>
+  );
+}
+
+// Side-by-side, paragraph-aligned view of a diff from diffDocuments (see
+// diff.js). The first row of each change carries the anchor `hunk-<id>`;
+// `focused` is the id of the hunk to highlight. Give it a new `key` for a
+// new diff, so folded stretches start folded again.
+export default function DiffView({ diff, units, focused }) {
+  const [unfolded, setUnfolded] = useState(() => new Set());
+
+  // Rows to show, with unchanged stretches far from any change folded into
+  // {fold, start, count} markers.
+  const shown = useMemo(() => {
+    const near = diff.rows.map((_, i) =>
+      diff.rows.slice(Math.max(0, i - CONTEXT), i + CONTEXT + 1).some((row) => row.type !== "equal")
+    );
+    const out = [];
+    diff.rows.forEach((row, i) => {
+      if (row.type !== "equal" || near[i]) {
+        out.push({ row, i });
+        return;
+      }
+      const last = out.at(-1);
+      if (last?.fold !== undefined && last.start + last.count === i) last.count++;
+      else out.push({ fold: true, start: i, count: 1 });
+    });
+    return out;
+  }, [diff]);
+
+  if (!diff.hunks.length) {
+    return <p className="text-sm text-gray-400">The two versions have the same text.</p>;
+  }
+
+  const quiet = "border-gray-800 bg-black/20 text-gray-400";
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="grid grid-cols-2 gap-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+        <span>Before</span>
+        <span>After</span>
+      </div>
+      {shown.map((entry) => {
+        if (entry.fold && !unfolded.has(entry.start)) {
+          return (
+            <button
+              key={`fold-${entry.start}`}
+              type="button"
+              onClick={() => setUnfolded((prev) => new Set(prev).add(entry.start))}
+              className="w-full rounded-md border border-gray-800 py-1 text-xs text-gray-500 hover:text-gray-300 hover:bg-gray-800/40 transition-colors"
+            >
+              {entry.count === 1 ? "1 unchanged paragraph" : `${entry.count} unchanged paragraphs`}
+            </button>
+          );
+        }
+        const rows = entry.fold
+          ? diff.rows.slice(entry.start, entry.start + entry.count).map((row, k) => ({ row, i: entry.start + k }))
+          : [entry];
+        return rows.map(({ row, i }) => {
+          const first = row.hunk && diff.rows[i - 1]?.hunk !== row.hunk;
+          return (
+            <div
+              key={i}
+              id={first ? `hunk-${row.hunk}` : undefined}
+              className={`grid grid-cols-2 gap-2 scroll-mt-4 rounded-md ${
+                row.hunk && row.hunk === focused ? "ring-2 ring-blue-500 ring-offset-2 ring-offset-gray-900" : ""
+              }`}
+            >
+              {first && <span className="col-span-2 pt-1 text-xs text-gray-500 select-none">Change #{row.hunk}</span>}
+              {row.type === "equal" && (
+                <>
+                  <Cell paragraph={row.before} unit={units.before} tone={quiet} />
+                  <Cell paragraph={row.after} unit={units.after} tone={quiet} />
+                </>
+              )}
+              {row.type === "removed" && (
+                <>
+                  <Cell paragraph={row.before} unit={units.before} tone="border-red-900 bg-red-950/40 text-red-100" />
+                  <Cell />
+                </>
+              )}
+              {row.type === "added" && (
+                <>
+                  <Cell />
+                  <Cell paragraph={row.after} unit={units.after} tone="border-emerald-900 bg-emerald-950/40 text-emerald-100" />
+                </>
+              )}
+              {row.type === "changed" && (
+                <>
+                  <Cell paragraph={row.before} unit={units.before} tone="border-amber-900 bg-amber-950/30 text-gray-200">
+                    <Words runs={row.words} side="before" />
+                  </Cell>
+                  <Cell paragraph={row.after} unit={units.after} tone="border-amber-900 bg-amber-950/30 text-gray-200">
+                    <Words runs={row.words} side="after" />
+                  </Cell>
+                </>
+              )}
+            </div>
+          );
+        });
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { ENTITY_TYPES } from "../lib/entities";
+import { formatCitation } from "../lib/document";
+
+// People, organisations, dates, figures and defined terms found in the
+// current document. `entities` is {status, list, error, errorTitle}, where
+// status is running | done | failed, or null before the first run.
+export default function EntityPanel({ unit, entities, disabled, onRun, onOpenSegment, onExport }) {
+  const [filter, setFilter] = useState("all");
+  const running = entities?.status === "running";
+  const list = entities?.list || [];
+  const counts = Object.fromEntries(ENTITY_TYPES.map((t) => [t.id, list.filter((e) => e.type === t.id).length]));
+  // A filter left over from another document with none of that type shows all.
+  const active = counts[filter] ? filter : "all";
+  const shown = active === "all" ? list : list.filter((e) => e.type === active);
+  const typeLabel = (type) => ENTITY_TYPES.find((t) => t.id === type)?.label || type;
+
+  const chip = (value, label, count) => (
+    <button
+      key={value}
+      type="button"
+      onClick={() => setFilter(value)}
+      aria-pressed={active === value}
+      className={`rounded-full border px-3 py-1 text-xs transition-colors ${
+        active === value
+          ? "border-blue-600 bg-blue-900/60 text-blue-100"
+          : "border-gray-700 bg-gray-800/60 text-gray-300 hover:bg-gray-700"
+      }`}
+    >
+      {label} <span className="text-gray-400">{count}</span>
+    </button>
+  );
+
+  return (
+    <div className="mt-6 border-t border-gray-800 pt-5">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div>
+          <h3 className="font-semibold">Entities &amp; figures</h3>
+          <p className="text-sm text-gray-400">
+            People, organisations, dates, amounts, percentages and defined terms, each with where it appears.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {!!list.length && (
+            <button
+              type="button"
+              onClick={onExport}
+              className="px-3 py-1.5 rounded-md text-sm font-medium bg-gray-700 hover:bg-gray-600 transition-colors"
+            >
+              Export CSV
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onRun}
+            disabled={disabled || running}
+            className="px-3 py-1.5 rounded-md text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/60 disabled:cursor-not-allowed transition-colors"
+          >
+            {running ? "Extracting…" : entities?.status === "done" ? "Extract again" : "Extract"}
+          </button>
+        </div>
+      </div>
+
+      {entities?.status === "failed" && (
+        <div className="bg-red-900/50 text-red-200 border border-red-800 p-3 rounded-lg text-sm">
+          <strong className="font-semibold">⚠️ {entities.errorTitle || "Error"}:</strong> {entities.error}
+        </div>
+      )}
+
+      {entities?.status === "done" && !list.length && (
+        <p className="text-sm text-gray-400">No entities or figures found in this document.</p>
+      )}
+
+      {!!list.length && (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {chip("all", "All", list.length)}
+            {ENTITY_TYPES.filter((t) => counts[t.id]).map((t) => chip(t.id, t.label, counts[t.id]))}
+          </div>
+          <ul className="space-y-2 max-h-96 overflow-auto">
+            {shown.map((e) => (
+              <li key={`${e.type}:${e.name}`} className="rounded-lg border border-gray-800 bg-gray-800/40 px-3 py-2 text-sm">
+                <div className="flex flex-wrap items-baseline gap-2">
+                  <span className="font-medium text-gray-100" dir="auto">{e.name}</span>
+                  <span className="text-xs text-gray-500">{typeLabel(e.type)}</span>
+                  <button
+                    type="button"
+                    onClick={() => onOpenSegment(e.n)}
+                    className="ml-auto inline-flex items-center rounded-full border border-blue-800 bg-blue-900/40 px-2 py-0.5 text-xs text-blue-200 hover:bg-blue-800/60 transition-colors"
+                    title="Show this passage in the extracted text"
+                  >
+                    {formatCitation(unit, [e.n, e.n])}
+                  </button>
+                </div>
+                {e.note && <p className="mt-1 text-gray-300" dir="auto">{e.note}</p>}
+                <p className="mt-1 text-xs text-gray-500 italic" dir="auto">{e.snippet}</p>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
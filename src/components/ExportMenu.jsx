@@ -0,0 +1,69 @@
+import { useEffect, useRef, useState } from "react";
+import { EXPORT_FORMATS } from "../lib/exportResult";
+
+// Download button with a dropdown of export formats. `appendixOption` offers
+// to include the extracted text, when there is any.
+export default function ExportMenu({ onExport, appendixOption = true }) {
+  const [open, setOpen] = useState(false);
+  const [appendix, setAppendix] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const menu = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!menu.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  async function handlePick(format) {
+    setBusy(true);
+    try {
+      await onExport(format, { appendix });
+      setOpen(false);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div ref={menu} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        aria-haspopup="menu"
+        className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" x2="12" y1="15" y2="3"/></svg>
+        <span>{busy ? "Preparing…" : "Download"}</span>
+      </button>
+
+      {open && (
+        <div role="menu" className="absolute left-0 z-20 mt-2 w-56 rounded-lg border border-gray-700 bg-gray-900 p-2 shadow-xl">
+          {EXPORT_FORMATS.map((f) => (
+            <button
+              key={f.value}
+              type="button"
+              role="menuitem"
+              disabled={busy}
+              onClick={() => handlePick(f.value)}
+              className="block w-full rounded-md px-3 py-1.5 text-left text-sm hover:bg-gray-700 disabled:opacity-50 transition-colors"
+            >
+              {f.label}
+            </button>
+          ))}
+          {appendixOption && (
+            <label className="mt-1 flex items-center gap-2 border-t border-gray-800 px-3 pt-2 text-xs text-gray-400">
+              <input type="checkbox" checked={appendix} onChange={(e) => setAppendix(e.target.checked)} />
+              Include extracted text
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
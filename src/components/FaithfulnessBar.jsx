@@ -0,0 +1,50 @@
+import { VERDICTS } from "../lib/verify";
+
+const DOTS = {
+  supported: "bg-emerald-400",
+  partial: "bg-amber-400",
+  unsupported: "bg-red-400",
+};
+
+// Tally of the faithfulness check on the current summary, with a button to
+// have the model judge the claims as well. `judgement` is
+// {status: running | done | failed, error, errorTitle} or null.
+export default function FaithfulnessBar({ verification, judgement, disabled, onJudge }) {
+  const checks = [...verification.keyPoints, ...verification.figures];
+  if (!checks.length) return null;
+  const running = judgement?.status === "running";
+  const count = (id) => checks.filter((c) => c.verdict === id).length;
+
+  return (
+    <div className="mb-5 rounded-lg border border-gray-800 bg-gray-800/30 px-3 py-2 text-sm">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+        <span className="font-medium text-gray-200">Faithfulness</span>
+        {VERDICTS.map((v) => (
+          <span key={v.id} className="inline-flex items-center gap-1.5 text-gray-300">
+            <span className={`h-2 w-2 rounded-full ${DOTS[v.id]}`} aria-hidden="true" />
+            {count(v.id)} {v.label.toLowerCase()}
+          </span>
+        ))}
+        <span className="text-xs text-gray-500">
+          {verification.judged ? `judged by ${verification.model}` : "matched against the source text"}
+        </span>
+        {!verification.judged && (
+          <button
+            type="button"
+            onClick={onJudge}
+            disabled={disabled || running}
+            className="ml-auto text-xs text-blue-400 hover:text-blue-300 disabled:text-gray-600 disabled:cursor-not-allowed"
+            title="Ask the model whether the evidence supports each key point and figure"
+          >
+            {running ? "Checking…" : "Double-check with model"}
+          </button>
+        )}
+      </div>
+      {judgement?.status === "failed" && (
+        <p className="mt-2 text-xs text-red-300">
+          {judgement.errorTitle || "Error"}: {judgement.error}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+const STATUS_STYLES = {
+  pending: "bg-gray-700/60 text-gray-300",
+  extracting: "bg-sky-900/60 text-sky-200",
+  review: "bg-amber-900/60 text-amber-200",
+  summarising: "bg-indigo-900/60 text-indigo-200",
+  done: "bg-emerald-900/60 text-emerald-200",
+  failed: "bg-red-900/60 text-red-200",
+  cancelled: "bg-amber-900/60 text-amber-200",
+};
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  extracting: "Extracting…",
+  review: "Review",
+  summarising: "Summarising…",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+// List of queued files with per-file status, retry and remove actions
+export default function FileQueue({ items, selectedId, onSelect, onRetry, onRemove, formatSize }) {
+  return (
+    <ul className="divide-y divide-gray-800 rounded-xl border border-gray-800 bg-gray-900/40">
+      {items.map((item) => {
+        const active = item.status === "extracting" || item.status === "summarising";
+        return (
+          <li
+            key={item.id}
+            className={`flex items-center gap-3 px-4 py-2 text-sm ${
+              item.id === selectedId ? "bg-blue-500/10" : "hover:bg-gray-800/40"
+            }`}
+          >
+            <button
+              type="button"
+              onClick={() => onSelect(item.id)}
+              className="flex-1 min-w-0 text-left truncate"
+              title={item.error || item.file.name}
+            >
+              <span className="font-medium">{item.file.name}</span>{" "}
+              <span className="text-gray-500">({formatSize(item.file.size)})</span>
+            </button>
+            <span className={`shrink-0 rounded-full px-2 py-0.5 text-xs ${STATUS_STYLES[item.status]}`}>
+              {STATUS_LABELS[item.status]}
+            </span>
+            {(item.status === "failed" || item.status === "cancelled") && (
+              <button
+                type="button"
+                onClick={() => onRetry(item.id)}
+                className="shrink-0 text-xs text-blue-300 hover:text-blue-200"
+              >
+                Retry
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => onRemove(item.id)}
+              className="shrink-0 text-gray-500 hover:text-red-300"
+              aria-label={active ? `Cancel and remove ${item.file.name}` : `Remove ${item.file.name}`}
+              title={active ? "Cancel and remove" : "Remove"}
+            >
+              ✕
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
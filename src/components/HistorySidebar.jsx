@@ -0,0 +1,107 @@
+import { useMemo, useRef, useState } from "react";
+import { searchHistory } from "../lib/historyDb";
+
+// Slide-in panel listing past summaries, with search, reopen, delete and
+// JSON export/import
+export default function HistorySidebar({ open, entries, onClose, onOpen, onDelete, onExport, onImport }) {
+  const [query, setQuery] = useState("");
+  const importInput = useRef(null);
+  const matches = useMemo(() => searchHistory(entries, query), [entries, query]);
+
+  return (
+    <>
+      {open && <div className="fixed inset-0 z-40 bg-black/50" onClick={onClose} />}
+      <aside
+        className={`fixed inset-y-0 right-0 z-50 flex w-full max-w-sm flex-col border-l border-gray-800 bg-gray-950 shadow-2xl transition-transform duration-300 ${
+          open ? "translate-x-0" : "translate-x-full"
+        }`}
+        aria-hidden={!open}
+        aria-label="Summary history"
+      >
+        <div className="flex items-center justify-between border-b border-gray-800 p-4">
+          <h2 className="text-lg font-semibold">History</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-500 hover:text-white p-1 rounded-full hover:bg-gray-700"
+            aria-label="Close history"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+          </button>
+        </div>
+
+        <div className="p-4">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search summaries and source text…"
+            className="w-full bg-gray-800 border border-gray-700 p-2 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+          />
+        </div>
+
+        <ul className="flex-1 overflow-auto px-4 space-y-2">
+          {!matches.length && (
+            <li className="text-sm text-gray-500">
+              {entries.length ? "No matches." : "Summaries you generate are saved here."}
+            </li>
+          )}
+          {matches.map(({ entry, snippet }) => (
+            <li key={entry.id} className="group rounded-lg border border-gray-800 bg-gray-900/60 p-3 text-sm">
+              <div className="flex items-start gap-2">
+                <button
+                  type="button"
+                  onClick={() => onOpen(entry)}
+                  className="flex-1 min-w-0 text-left"
+                >
+                  <p className="font-medium truncate" title={entry.fileName}>{entry.fileName}</p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(entry.createdAt).toLocaleString()} · {entry.length}
+                  </p>
+                  <p className="mt-1 text-gray-400 line-clamp-2" dir="auto">{snippet || entry.result.summary}</p>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(entry.id)}
+                  className="shrink-0 text-gray-500 hover:text-red-300"
+                  aria-label={`Delete ${entry.fileName} from history`}
+                >
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex gap-2 border-t border-gray-800 p-4">
+          <button
+            type="button"
+            onClick={onExport}
+            disabled={!entries.length}
+            className="flex-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+          >
+            Export JSON
+          </button>
+          <button
+            type="button"
+            onClick={() => importInput.current?.click()}
+            className="flex-1 bg-gray-700 hover:bg-gray-600 px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+          >
+            Import JSON
+          </button>
+          <input
+            ref={importInput}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={(e) => {
+              const f = e.target.files?.[0];
+              if (f) onImport(f);
+              e.target.value = "";
+            }}
+          />
+        </div>
+      </aside>
+    </>
+  );
+}
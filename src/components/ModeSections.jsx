@@ -0,0 +1,49 @@
+import { citationRanges, formatCitation } from "../lib/document";
+import { modeSections } from "../lib/modes";
+
+// The extra fields of a summary mode (action items, clauses, methods, ...).
+// Without `onOpenCitation` the citations are plain labels.
+export default function ModeSections({ result, onOpenCitation, citationHint }) {
+  const sections = modeSections(result);
+  if (!sections.length) return null;
+  return (
+    <div className="mb-5 space-y-4">
+      {sections.map((section) => (
+        <div key={section.title}>
+          <h3 className="font-semibold mb-2">{section.title}</h3>
+          {section.text && <p className="leading-relaxed text-gray-300" dir="auto">{section.text}</p>}
+          {section.items && (
+            <ul className="space-y-2 text-gray-300">
+              {section.items.map((item, i) => (
+                <li key={i} dir="auto" className="rounded-lg border border-gray-800 bg-gray-800/40 px-3 py-2">
+                  <span className="font-medium text-gray-200">{item.text}</span>
+                  {citationRanges(item.sources || []).map(([from, to]) =>
+                    onOpenCitation ? (
+                      <button
+                        key={from}
+                        type="button"
+                        onClick={() => onOpenCitation(from)}
+                        className="ml-2 inline-flex items-center rounded-full border border-blue-800 bg-blue-900/40 px-2 py-0.5 text-xs text-blue-200 hover:bg-blue-800/60 transition-colors align-middle"
+                        title={citationHint}
+                      >
+                        {formatCitation(result.unit, [from, to])}
+                      </button>
+                    ) : (
+                      <span
+                        key={from}
+                        className="ml-2 inline-flex items-center rounded-full border border-gray-700 bg-gray-800/60 px-2 py-0.5 text-xs text-gray-300 align-middle"
+                      >
+                        {formatCitation(result.unit, [from, to])}
+                      </span>
+                    )
+                  )}
+                  {item.detail && <p className="mt-1 text-sm text-gray-400">{item.detail}</p>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
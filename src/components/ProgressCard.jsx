@@ -0,0 +1,36 @@
+// Staged progress for the file being processed, with a cancel button.
+// `value` is a 0-1 fraction, or null when the stage has no measurable
+// progress (e.g. waiting for the model).
+export default function ProgressCard({ fileName, label, value, onCancel }) {
+  return (
+    <div className="bg-gray-900 border border-gray-800 px-5 py-4 rounded-xl">
+      <div className="flex items-center gap-3">
+        <svg className="animate-spin h-5 w-5 shrink-0" viewBox="0 0 24 24">
+          <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" opacity="0.25"></circle>
+          <path d="M4 12a8 8 0 0 1 8-8" fill="none" stroke="currentColor" strokeWidth="4"></path>
+        </svg>
+        <div className="flex-1 min-w-0">
+          <p className="truncate">{`Analyzing ${fileName || "document"}…`}</p>
+          <p className="text-sm text-gray-400" aria-live="polite">{label}</p>
+        </div>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="shrink-0 bg-gray-700 hover:bg-red-700 px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+      <div className="mt-3 h-1.5 overflow-hidden rounded-full bg-gray-800">
+        {value === null || value === undefined ? (
+          <div className="h-full w-1/3 animate-pulse rounded-full bg-blue-500/60" />
+        ) : (
+          <div
+            className="h-full rounded-full bg-blue-500 transition-[width] duration-300"
+            style={{ width: `${Math.round(value * 100)}%` }}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
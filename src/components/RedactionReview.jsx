@@ -0,0 +1,155 @@
+import { useMemo, useState } from "react";
+import { PII_DETECTORS, TERM_TYPES, redactDocument } from "../lib/redact";
+import { documentText } from "../lib/document";
+
+// Characters of masked text shown in the preview
+const PREVIEW_CHARS = 5000;
+
+// Shown after extraction when personal data masking is on: what was found in
+// the document and the placeholder each item becomes, before anything is
+// sent. Items can be left unmasked, and detectors and terms changed;
+// `onRulesChange` saves the rules and finds the items again.
+export default function RedactionReview({ fileName, doc, findings, rules, onToggle, onRulesChange, onConfirm, onCancel }) {
+  const [term, setTerm] = useState("");
+  const [termType, setTermType] = useState("PERSON");
+  const masked = findings.filter((f) => f.masked).length;
+  const preview = useMemo(() => documentText(redactDocument(doc, findings)).slice(0, PREVIEW_CHARS), [doc, findings]);
+
+  function addTerm(e) {
+    e.preventDefault();
+    const text = term.trim();
+    if (!text) return;
+    const terms = rules.terms.filter((t) => t.text.toLowerCase() !== text.toLowerCase());
+    onRulesChange({ ...rules, terms: [...terms, { text, type: termType }] });
+    setTerm("");
+  }
+
+  return (
+    <section className="bg-gray-900/70 backdrop-blur-sm border border-amber-800/60 rounded-2xl p-6">
+      <h2 className="text-xl font-semibold mb-1">Review personal data</h2>
+      <p className="mb-5 text-sm text-gray-400">
+        {findings.length
+          ? `${masked} of ${findings.length} items in ${fileName} will be replaced by placeholders before the text is sent to the model.`
+          : `Nothing was found in ${fileName} with the current rules. Add names or other terms to mask below.`}{" "}
+        Placeholders in the reply are swapped back in your browser.
+      </p>
+
+      {!!findings.length && (
+        <ul className="mb-6 max-h-72 overflow-auto divide-y divide-gray-800 rounded-lg border border-gray-800">
+          {findings.map((f) => (
+            <li key={f.key} className="flex items-center gap-3 px-3 py-2 text-sm">
+              <input
+                id={`mask-${f.key}`}
+                type="checkbox"
+                checked={f.masked}
+                onChange={() => onToggle(f.key)}
+                className="accent-blue-600"
+              />
+              <label htmlFor={`mask-${f.key}`} className={`flex-1 min-w-0 truncate ${f.masked ? "text-gray-200" : "text-gray-500 line-through"}`} title={f.variants.join(", ")}>
+                {f.value}
+              </label>
+              <code className="shrink-0 text-xs text-amber-200">{f.placeholder}</code>
+              <span className="shrink-0 w-10 text-right text-xs text-gray-500">×{f.count}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid gap-6 sm:grid-cols-2 mb-6">
+        <fieldset>
+          <legend className="font-semibold mb-2 text-sm">Detect</legend>
+          <div className="space-y-1">
+            {PII_DETECTORS.map((d) => (
+              <label key={d.id} className="flex items-center gap-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={!!rules.detectors[d.id]}
+                  onChange={(e) => onRulesChange({ ...rules, detectors: { ...rules.detectors, [d.id]: e.target.checked } })}
+                  className="accent-blue-600"
+                />
+                {d.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <div>
+          <h3 className="font-semibold mb-2 text-sm">Always mask</h3>
+          <form onSubmit={addTerm} className="flex gap-2 mb-2">
+            <input
+              type="text"
+              value={term}
+              onChange={(e) => setTerm(e.target.value)}
+              placeholder="e.g. Jane Doe"
+              aria-label="Term to mask"
+              className="min-w-0 flex-1 bg-gray-800 border border-gray-700 p-2 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+            />
+            <select
+              value={termType}
+              onChange={(e) => setTermType(e.target.value)}
+              aria-label="Term type"
+              className="bg-gray-800 border border-gray-700 p-2 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+            >
+              {TERM_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>{t.label}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={!term.trim()}
+              className="px-3 py-2 rounded-md text-sm font-medium bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Add
+            </button>
+          </form>
+          {rules.terms.length ? (
+            <ul className="flex flex-wrap gap-2">
+              {rules.terms.map((t) => (
+                <li key={t.text} className="inline-flex items-center gap-1 rounded-full border border-gray-700 bg-gray-800/60 px-3 py-1 text-xs text-gray-300">
+                  {t.text}
+                  <span className="text-gray-500">· {TERM_TYPES.find((x) => x.value === t.type)?.label || t.type}</span>
+                  <button
+                    type="button"
+                    onClick={() => onRulesChange({ ...rules, terms: rules.terms.filter((x) => x !== t) })}
+                    className="ml-1 text-gray-500 hover:text-red-300"
+                    aria-label={`Stop masking ${t.text}`}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-xs text-gray-500">Names, clients or projects to mask in every document.</p>
+          )}
+        </div>
+      </div>
+
+      <details className="mb-6">
+        <summary className="cursor-pointer select-none text-sm text-gray-400 hover:text-gray-200 transition-colors">
+          Preview what the model will see
+        </summary>
+        <div dir="auto" className="mt-2 whitespace-pre-wrap font-mono text-sm bg-black/40 border border-gray-800 rounded-lg p-4 max-h-80 overflow-auto">
+          {preview}
+        </div>
+      </details>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={onConfirm}
+          className="px-4 py-2 rounded-md text-white text-sm font-semibold bg-blue-600 hover:bg-blue-700 transition-colors"
+        >
+          {masked ? `Mask ${masked === 1 ? "1 item" : `${masked} items`} and summarise` : "Summarise without masking"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 rounded-md text-sm font-medium bg-gray-700 hover:bg-gray-600 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </section>
+  );
+}
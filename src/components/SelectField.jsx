@@ -0,0 +1,23 @@
+// Labelled dropdown in the style of the controls bar
+export default function SelectField({ id, label, value, onChange, options }) {
+  return (
+    <div className="flex items-center gap-2">
+      <label htmlFor={id} className="text-sm text-gray-300">{label}</label>
+      <div className="relative">
+        <select
+          id={id}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className="bg-gray-800 border border-gray-700 p-2 rounded-md appearance-none pr-8 focus:ring-2 focus:ring-blue-500 focus:outline-none"
+        >
+          {options.map((o) => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+        <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center px-2 text-gray-400">
+          <svg className="fill-current h-4 w-4" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><path d="M9.293 12.95l.707.707L15.657 8l-1.414-1.414L10 10.828 5.757 6.586 4.343 8z"/></svg>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import { useState } from "react";
+
+// Modal that turns the current summary into a read-only link, optionally
+// locked with a passphrase. `onCreate(passphrase)` resolves to the link or
+// rejects with a message to show (e.g. when the summary is too long).
+export default function ShareDialog({ fileName, onCreate, onClose }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [link, setLink] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      setLink(await onCreate(passphrase));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2500);
+    } catch (err) {
+      console.error("Failed to copy link: ", err);
+      alert("Failed to copy link.");
+    }
+  }
+
+  async function handleSystemShare() {
+    try {
+      await navigator.share({ title: `Summary of ${fileName}`, url: link });
+    } catch (err) {
+      if (err.name !== "AbortError") console.error("Error sharing:", err);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-lg rounded-lg bg-gray-900 p-6 shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Share summary"
+      >
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-lg font-semibold">Share summary</h2>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+            ✕
+          </button>
+        </div>
+        <p className="mb-4 text-sm text-gray-400">
+          The summary and key points of {fileName} are packed into the link itself; nothing is uploaded. Anyone with
+          the link can read them, unless you set a passphrase.
+        </p>
+
+        {link ? (
+          <>
+            <input
+              type="text"
+              readOnly
+              value={link}
+              onFocus={(e) => e.target.select()}
+              aria-label="Share link"
+              className="w-full mb-3 bg-gray-800 border border-gray-700 p-2 rounded-md font-mono text-xs text-gray-300 focus:ring-2 focus:ring-blue-500 focus:outline-none"
+            />
+            {passphrase && (
+              <p className="mb-3 text-xs text-amber-200">Send the passphrase separately; it is not part of the link.</p>
+            )}
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={handleCopy}
+                disabled={copied}
+                className="px-4 py-2 rounded-md text-white text-sm font-semibold bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {copied ? "Copied!" : "Copy link"}
+              </button>
+              {navigator.share && (
+                <button
+                  type="button"
+                  onClick={handleSystemShare}
+                  className="px-4 py-2 rounded-md text-sm font-medium bg-gray-700 hover:bg-gray-600 transition-colors"
+                >
+                  Share…
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => setLink(null)}
+                className="px-4 py-2 rounded-md text-sm font-medium bg-gray-700 hover:bg-gray-600 transition-colors"
+              >
+                Change passphrase
+              </button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleCreate}>
+            <label className="block mb-1 text-sm font-medium" htmlFor="share-passphrase">
+              Passphrase <span className="font-normal text-gray-500">(optional)</span>
+            </label>
+            <input
+              id="share-passphrase"
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoComplete="new-password"
+              className="w-full mb-3 bg-gray-800 border border-gray-700 p-2 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+            />
+            {error && <p className="mb-3 text-sm text-red-300">{error}</p>}
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-4 py-2 rounded-md text-white text-sm font-semibold bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {busy ? "Creating…" : passphrase ? "Create protected link" : "Create link"}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
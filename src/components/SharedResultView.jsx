@@ -0,0 +1,173 @@
+import { useEffect, useState } from "react";
+import ExportMenu from "./ExportMenu";
+import ModeSections from "./ModeSections";
+import { citationRanges, formatCitation } from "../lib/document";
+import { exportResult, resultMarkdown } from "../lib/exportResult";
+import { downloadFile } from "../lib/download";
+import { readShareFragment, shareLinkKind } from "../lib/shareLink";
+
+// Read-only page for a summary opened from a share link (see shareLink.js),
+// asking for the passphrase first when the link is encrypted.
+export default function SharedResultView({ hash }) {
+  const encrypted = shareLinkKind(hash) === "encrypted";
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (encrypted) return;
+    readShareFragment(hash).then(setShared, (err) => setError(err.message));
+  }, [hash, encrypted]);
+
+  useEffect(() => {
+    if (shared) document.title = `Summary of ${shared.fileName || "a document"} · PrecisAI`;
+  }, [shared]);
+
+  async function handleUnlock(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      setShared(await readShareFragment(hash, { passphrase }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(resultMarkdown({ fileName: shared.fileName, result: shared.result }));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2500);
+    } catch (err) {
+      console.error("Failed to copy text: ", err);
+      alert("Failed to copy text.");
+    }
+  }
+
+  async function handleExport(format) {
+    try {
+      const out = await exportResult(format, { ...shared, doc: null });
+      downloadFile(out.fileName, out.content);
+    } catch (err) {
+      console.error("Failed to export: ", err);
+      alert(`Failed to export: ${err.message}`);
+    }
+  }
+
+  const home = `${window.location.pathname}${window.location.search}`;
+  const result = shared?.result;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-950 to-gray-900 text-gray-100 p-4 sm:p-6">
+      <div className="max-w-4xl mx-auto">
+        <header className="mb-8 flex flex-wrap items-center justify-between gap-3">
+          <a href={home} className="text-2xl font-bold tracking-tighter text-transparent bg-clip-text bg-gradient-to-r from-blue-400 to-purple-500">
+            PrecisAI
+          </a>
+          <a
+            href={home}
+            className="inline-flex items-center gap-2 bg-gray-800 hover:bg-gray-700 border border-gray-700 px-3 py-1.5 rounded-md text-sm font-medium transition-colors"
+          >
+            Summarise your own documents
+          </a>
+        </header>
+
+        {!result && encrypted && (
+          <form onSubmit={handleUnlock} className="mx-auto max-w-md bg-gray-900/70 border border-gray-800 rounded-2xl p-6">
+            <h1 className="text-xl font-semibold mb-1">Protected summary</h1>
+            <p className="mb-4 text-sm text-gray-400">Enter the passphrase you were given with this link.</p>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoFocus
+              aria-label="Passphrase"
+              className="w-full mb-3 bg-gray-800 border border-gray-700 p-2 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+            />
+            {error && <p className="mb-3 text-sm text-red-300">{error}</p>}
+            <button
+              type="submit"
+              disabled={!passphrase || busy}
+              className="px-4 py-2 rounded-md text-white text-sm font-semibold bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {busy ? "Unlocking…" : "Unlock"}
+            </button>
+          </form>
+        )}
+
+        {!result && !encrypted && error && (
+          <div className="bg-red-900/50 text-red-200 border border-red-800 p-4 rounded-lg">
+            <strong className="font-semibold">⚠️ Cannot open this link:</strong> {error}
+          </div>
+        )}
+
+        {result && (
+          <section className="bg-gray-900/70 backdrop-blur-sm border border-gray-800 rounded-2xl p-6">
+            <div className="flex flex-wrap items-center gap-3 mb-4">
+              <button
+                type="button"
+                onClick={handleCopy}
+                disabled={copied}
+                className="inline-flex items-center gap-2 bg-gray-700 hover:bg-gray-600 px-3 py-1.5 rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect width="14" height="14" x="8" y="8" rx="2" ry="2"/><path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"/></svg>
+                <span>{copied ? "Copied!" : "Copy"}</span>
+              </button>
+              <ExportMenu onExport={handleExport} appendixOption={false} />
+              <span className="ml-auto rounded-full border border-gray-700 bg-gray-800/60 px-2 py-0.5 text-xs text-gray-400">
+                Read-only
+              </span>
+            </div>
+
+            <div className="flex items-baseline justify-between gap-3 mb-1">
+              <h1 className="text-xl font-semibold">
+                {result.mode && result.mode !== "standard" ? result.modeLabel || "Summary" : "Summary"}
+              </h1>
+              {result.model && <span className="text-xs text-gray-500">via {result.model}</span>}
+            </div>
+            {shared.fileName && (
+              <p className="mb-4 text-sm text-gray-400" dir="auto">
+                of {shared.fileName}
+                {shared.length ? ` · ${shared.length} length` : ""}
+              </p>
+            )}
+            {result.extractive && (
+              <p className="mb-3 text-sm text-gray-300 bg-gray-800/60 border border-gray-700 rounded-md px-3 py-2">
+                Extractive summary — sentences quoted directly from the document, not rewritten prose.
+              </p>
+            )}
+            <p className="mb-5 leading-relaxed text-gray-200" dir="auto">{result.summary}</p>
+
+            <ModeSections result={result} />
+
+            {!!result.key_points.length && (
+              <>
+                <h2 className="font-semibold mb-2">Key Points</h2>
+                <ul className="list-disc list-inside space-y-2 text-gray-300">
+                  {result.key_points.map((kp, i) => (
+                    <li key={i} dir="auto">
+                      {kp.text}
+                      {citationRanges(kp.sources || []).map(([from, to]) => (
+                        <span
+                          key={from}
+                          className="ml-2 inline-flex items-center rounded-full border border-gray-700 bg-gray-800/60 px-2 py-0.5 text-xs text-gray-300 align-middle"
+                        >
+                          {formatCitation(result.unit, [from, to])}
+                        </span>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+function Findings({ title, findings, tone }) {
+  if (!findings.length) return null;
+  return (
+    <>
+      <h3 className="font-semibold mb-2 mt-5">{title}</h3>
+      <ul className="list-disc list-inside space-y-2 text-gray-300">
+        {findings.map((f, i) => (
+          <li key={i} dir="auto">
+            {f.point}
+            {f.documents.map((name) => (
+              <span
+                key={name}
+                className={`ml-2 inline-flex items-center rounded-full border px-2 py-0.5 text-xs align-middle ${tone}`}
+              >
+                {name}
+              </span>
+            ))}
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+// Cross-document synthesis of a finished batch
+export default function SynthesisPanel({ synthesis, docCount, disabled, onRun }) {
+  const running = synthesis?.status === "running";
+  return (
+    <section className="bg-gray-900/70 backdrop-blur-sm border border-gray-800 rounded-2xl p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-xl font-semibold">Cross-document synthesis</h2>
+          <p className="text-sm text-gray-400">
+            One combined summary of all {docCount} summarised documents, noting where they agree or conflict.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onRun}
+          disabled={disabled || running}
+          className="px-4 py-2 rounded-md text-white font-semibold bg-purple-600 hover:bg-purple-700 disabled:bg-purple-600/60 disabled:cursor-not-allowed transition-colors"
+        >
+          {running ? "Synthesising…" : synthesis?.result ? "Synthesise again" : "Synthesise"}
+        </button>
+      </div>
+
+      {synthesis?.error && (
+        <div className="mt-4 bg-red-900/50 text-red-200 border border-red-800 p-4 rounded-lg">
+          <strong className="font-semibold">⚠️ {synthesis.errorTitle || "Error"}:</strong> {synthesis.error}
+        </div>
+      )}
+
+      {synthesis?.result && (
+        <div className="mt-5">
+          <p className="leading-relaxed text-gray-200" dir="auto">{synthesis.result.summary}</p>
+          <Findings
+            title="Where they agree"
+            findings={synthesis.result.agreements}
+            tone="border-emerald-800 bg-emerald-900/40 text-emerald-200"
+          />
+          <Findings
+            title="Where they conflict"
+            findings={synthesis.result.conflicts}
+            tone="border-amber-800 bg-amber-900/40 text-amber-200"
+          />
+        </div>
+      )}
+    </section>
+  );
+}
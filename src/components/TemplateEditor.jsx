@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { TEMPLATE_VARIABLES } from "../lib/templates";
+
+const EMPTY = { id: null, name: "", prompt: "" };
+
+// Modal for creating, editing and deleting custom prompt templates
+export default function TemplateEditor({ templates, onSave, onDelete, onClose }) {
+  const [draft, setDraft] = useState(EMPTY);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!draft.name.trim() || !draft.prompt.trim()) return;
+    const saved = { ...draft, id: draft.id || crypto.randomUUID(), name: draft.name.trim() };
+    onSave(saved);
+    setDraft(saved);
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4" onClick={onClose}>
+      <div
+        className="flex max-h-[90vh] w-full max-w-3xl flex-col overflow-hidden rounded-lg bg-gray-900 shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Prompt templates"
+      >
+        <div className="flex items-center justify-between border-b border-gray-700 p-4">
+          <h2 className="text-lg font-semibold">Prompt templates</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-500 hover:text-white p-1 rounded-full hover:bg-gray-700"
+            aria-label="Close templates"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+          </button>
+        </div>
+
+        <div className="flex min-h-0 flex-1 flex-col sm:flex-row">
+          <ul className="space-y-1 overflow-auto border-b border-gray-800 p-3 sm:w-56 sm:border-b-0 sm:border-r">
+            <li>
+              <button
+                type="button"
+                onClick={() => setDraft(EMPTY)}
+                className={`w-full rounded-md px-3 py-1.5 text-left text-sm transition-colors ${
+                  draft.id ? "hover:bg-gray-800" : "bg-gray-800 text-white"
+                }`}
+              >
+                + New template
+              </button>
+            </li>
+            {templates.map((t) => (
+              <li key={t.id}>
+                <button
+                  type="button"
+                  onClick={() => setDraft(t)}
+                  className={`w-full truncate rounded-md px-3 py-1.5 text-left text-sm transition-colors ${
+                    draft.id === t.id ? "bg-gray-800 text-white" : "text-gray-300 hover:bg-gray-800"
+                  }`}
+                >
+                  {t.name}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <form onSubmit={handleSubmit} className="flex flex-1 flex-col gap-3 overflow-auto p-4">
+            <label className="text-sm text-gray-300">
+              Name
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder="e.g. Release notes"
+                className="mt-1 w-full bg-gray-800 border border-gray-700 p-2 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+              />
+            </label>
+            <label className="text-sm text-gray-300">
+              Instructions
+              <textarea
+                value={draft.prompt}
+                onChange={(e) => setDraft({ ...draft, prompt: e.target.value })}
+                rows={8}
+                placeholder="Summarise the changes as release notes for customers in {length}, written in {language}."
+                className="mt-1 w-full bg-gray-800 border border-gray-700 p-2 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+              />
+            </label>
+            <div className="text-xs text-gray-400">
+              <p className="mb-1">
+                Variables are filled in when you summarise. The reply is always a summary plus cited key points.
+              </p>
+              <ul className="space-y-0.5">
+                {TEMPLATE_VARIABLES.map((v) => (
+                  <li key={v.name}>
+                    <code className="text-blue-300">{`{${v.name}}`}</code> — {v.description}
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div className="mt-auto flex gap-2 pt-2">
+              <button
+                type="submit"
+                disabled={!draft.name.trim() || !draft.prompt.trim()}
+                className="px-4 py-2 rounded-md text-white text-sm font-semibold bg-blue-600 hover:bg-blue-700 disabled:bg-blue-600/60 disabled:cursor-not-allowed transition-colors"
+              >
+                {draft.id ? "Save changes" : "Create template"}
+              </button>
+              {draft.id && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    onDelete(draft.id);
+                    setDraft(EMPTY);
+                  }}
+                  className="px-4 py-2 rounded-md text-sm font-medium bg-gray-700 hover:bg-red-800 transition-colors"
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
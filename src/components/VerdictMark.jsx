@@ -0,0 +1,69 @@
+import { VERDICTS } from "../lib/verify";
+import { formatCitation } from "../lib/document";
+
+const TONES = {
+  supported: "border-emerald-800 bg-emerald-900/40 text-emerald-200",
+  partial: "border-amber-800 bg-amber-900/40 text-amber-200",
+  unsupported: "border-red-800 bg-red-900/40 text-red-200",
+};
+
+const UNDERLINES = {
+  supported: "decoration-emerald-500/60",
+  partial: "decoration-amber-400",
+  unsupported: "decoration-red-400",
+};
+
+const ICONS = { supported: "✓", partial: "≈", unsupported: "✗" };
+
+// Verdict of the faithfulness check (see verify.js) on a key point, or on a
+// figure in the summary when it wraps `children`; hovering or focusing it
+// shows the matched evidence.
+export default function VerdictMark({ check, unit, onOpenCitation, children }) {
+  const label = VERDICTS.find((v) => v.id === check.verdict)?.label || check.verdict;
+  return (
+    <span className="group relative inline-block align-baseline">
+      {children ? (
+        <span
+          tabIndex={0}
+          className={`cursor-help underline decoration-dotted decoration-2 underline-offset-4 focus:outline-none ${UNDERLINES[check.verdict]}`}
+        >
+          {children}
+        </span>
+      ) : (
+        <span
+          tabIndex={0}
+          aria-label={label}
+          className={`ml-2 inline-flex h-5 w-5 cursor-help items-center justify-center rounded-full border text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 ${TONES[check.verdict]}`}
+        >
+          {ICONS[check.verdict]}
+        </span>
+      )}
+      <span
+        role="tooltip"
+        className="invisible opacity-0 group-hover:visible group-hover:opacity-100 group-focus-within:visible group-focus-within:opacity-100 transition-opacity absolute left-0 top-full z-20 mt-1 w-80 max-w-[80vw] rounded-lg border border-gray-700 bg-gray-900 p-3 text-left text-xs font-normal leading-relaxed text-gray-300 shadow-xl"
+      >
+        <span className={`mb-2 inline-flex rounded-full border px-2 py-0.5 ${TONES[check.verdict]}`}>{label}</span>
+        {check.reason && <span className="mb-2 block text-gray-200">{check.reason}</span>}
+        {!!check.missing.length && (
+          <span className="mb-2 block text-red-200">Not in the document: {check.missing.join(", ")}</span>
+        )}
+        {check.evidence.length ? (
+          check.evidence.map((e, i) => (
+            <span key={i} className="mt-1 block border-l-2 border-gray-700 pl-2">
+              <button
+                type="button"
+                onClick={() => onOpenCitation(e.n)}
+                className="mr-1 text-blue-300 hover:text-blue-200"
+              >
+                {formatCitation(unit, [e.n, e.n])}
+              </button>
+              <span dir="auto">{e.text}</span>
+            </span>
+          ))
+        ) : (
+          <span className="block text-gray-500">No matching passage in the document.</span>
+        )}
+      </span>
+    </span>
+  );
+}
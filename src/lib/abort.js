@@ -0,0 +1,16 @@
+// Settles with `promise`, or rejects with the signal's reason as soon as it
+// aborts. For work that cannot be interrupted itself (the caller should stop
+// it, e.g. by terminating a worker, when the signal fires).
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  signal.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
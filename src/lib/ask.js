@@ -0,0 +1,78 @@
+import { citationRule, segmentMarker } from "./document.js";
+import { getProvider } from "./providers/index.js";
+import { generateJson } from "./llm.js";
+import { languageLabel } from "./languages.js";
+import { retrieve } from "./retrieve.js";
+
+// Every reply must end up in this shape; a null answer means the passages
+// did not contain one.
+const ANSWER_SCHEMA = {
+  type: "object",
+  properties: {
+    answer: { type: ["string", "null"] },
+    sources: { type: "array", items: { type: "integer" } },
+  },
+  required: ["answer", "sources"],
+};
+
+function repairAnswer(value) {
+  if (!value || typeof value !== "object") return value;
+  const sources = Array.isArray(value.sources) ? value.sources.map(Number).filter(Number.isInteger) : [];
+  return { ...value, answer: value.answer?.trim?.() || null, sources };
+}
+
+function askPrompt(question, passages, unit, history, language) {
+  const context = passages.map((p) => `${segmentMarker(unit, p.n)}\n${p.text}`).join("\n\n");
+  const conversation = history.length
+    ? `\nEARLIER IN THIS CONVERSATION:\n${history.map((t) => `Q: ${t.question}\nA: ${t.answer ?? "(no answer)"}`).join("\n")}\n`
+    : "";
+  return `
+You answer questions about a document using ONLY the passages below.
+Respond ONLY as strict JSON:
+{"answer":"...", "sources":[1]}
+
+Rules:
+- use only facts stated in the passages; never use outside knowledge
+- if the passages do not answer the question: {"answer":null, "sources":[]}
+- concise; quote exact wording for clauses, figures and definitions
+- language: ${language ? `answer in ${languageLabel(language)}` : "answer in the language of the question"}
+- cite sources: ${citationRule(unit)}
+${conversation}
+PASSAGES:
+"""${context}"""
+
+QUESTION: ${question}
+`;
+}
+
+// Answers `question` from the passages of `index` (see retrieve.js) that match
+// it. Returns {answer, sources, passages}, where `passages` are the retrieved
+// passages the answer cites (all of them if it cites none). `answer` is null
+// when nothing relevant was found, in which case the model is never called.
+// `history` is the earlier {question, answer} turns, oldest first. Aborting
+// `signal` cancels the model call.
+export async function askDocument({
+  index,
+  question,
+  history = [],
+  language,
+  provider = getProvider(),
+  onPartial,
+  signal,
+}) {
+  const retrieved = retrieve(index, question);
+  if (!retrieved.length) return { answer: null, sources: [], passages: [] };
+
+  const out = await generateJson(provider, askPrompt(question, retrieved, index.unit, history.slice(-4), language), {
+    schema: ANSWER_SCHEMA,
+    repair: repairAnswer,
+    signal,
+    onPartial:
+      onPartial &&
+      ((partial) => typeof partial.answer === "string" && onPartial({ answer: partial.answer })),
+  });
+  if (!out.answer?.trim()) return { answer: null, sources: [], passages: retrieved };
+
+  const cited = retrieved.filter((p) => out.sources.includes(p.n));
+  return { ...out, passages: cited.length ? cited : retrieved };
+}
@@ -0,0 +1,102 @@
+import { withStore, withStores } from "./db.js";
+import { sha256 } from "./hash.js";
+import { documentText } from "./document.js";
+import { getProvider } from "./providers/index.js";
+import { config } from "./config.js";
+import { extractTextFromFile } from "./extractText.js";
+
+// Content-addressed cache of extracted documents and model results. Values
+// live in "cache", their size and last use in "cacheMeta"; once the total
+// size passes config.cache.maxBytes the least recently used entries go.
+// Every function here swallows storage errors: a cache miss is always safe.
+
+async function getEntry(key) {
+  try {
+    const hit = await withStore("cache", "readonly", (store) => store.get(key));
+    if (!hit) return null;
+    // Touching the entry is bookkeeping only; don't wait for it.
+    withStores(["cacheMeta"], "readwrite", ({ cacheMeta }) => {
+      const req = cacheMeta.get(key);
+      req.onsuccess = () => req.result && cacheMeta.put({ ...req.result, usedAt: Date.now() });
+    }).catch(() => {});
+    return hit.value;
+  } catch (err) {
+    console.error("Cache read failed: ", err);
+    return null;
+  }
+}
+
+async function putEntry(key, value) {
+  try {
+    const size = JSON.stringify(value).length * 2;
+    if (size > config.cache.maxBytes) return;
+    await withStores(["cache", "cacheMeta"], "readwrite", ({ cache, cacheMeta }) => {
+      cache.put({ key, value });
+      cacheMeta.put({ key, size, usedAt: Date.now() });
+    });
+    await evict();
+  } catch (err) {
+    console.error("Cache write failed: ", err);
+  }
+}
+
+// Drops least recently used entries until the cache fits its budget.
+async function evict() {
+  const meta = await withStore("cacheMeta", "readonly", (store) => store.index("usedAt").getAll());
+  let total = meta.reduce((sum, m) => sum + m.size, 0);
+  const victims = [];
+  for (const m of meta) {
+    if (total <= config.cache.maxBytes) break;
+    victims.push(m.key);
+    total -= m.size;
+  }
+  if (!victims.length) return;
+  await withStores(["cache", "cacheMeta"], "readwrite", ({ cache, cacheMeta }) => {
+    for (const key of victims) {
+      cache.delete(key);
+      cacheMeta.delete(key);
+    }
+  });
+}
+
+// OCR output depends on the recognition language, so it is part of the key.
+function docKey(fileHash, lang) {
+  return `doc:${fileHash}:${lang}`;
+}
+
+export function getCachedDoc(fileHash, lang) {
+  return getEntry(docKey(fileHash, lang));
+}
+
+export function putCachedDoc(fileHash, lang, doc) {
+  return putEntry(docKey(fileHash, lang), doc);
+}
+
+// Extracts `file` like extractTextFromFile, reusing the text from an earlier
+// run on identical bytes. Returns {doc, fileHash}.
+export async function extractCached(file, lang, options) {
+  const fileHash = await sha256(file);
+  let doc = await getCachedDoc(fileHash, lang);
+  if (!doc) {
+    doc = await extractTextFromFile(file, lang, options);
+    await putCachedDoc(fileHash, lang, doc);
+  }
+  return { doc, fileHash };
+}
+
+// Key for a summary of `doc`: the text's hash plus every setting that changes
+// the result (length, mode or template prompt, output language, model).
+export async function summaryCacheKey({ doc, length, mode, template, language, provider = getProvider() }) {
+  const textHash = await sha256(documentText(doc));
+  const settings = [length, template ? `template:${template.prompt}` : mode, language || "", provider.id, provider.model];
+  return `summary:${textHash}:${await sha256(JSON.stringify(settings))}`;
+}
+
+export function getCachedResult(key) {
+  return getEntry(key);
+}
+
+export function putCachedResult(key, result) {
+  return putEntry(key, result);
+}
+
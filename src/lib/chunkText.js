@@ -0,0 +1,60 @@
+// Splits text into chunks of at most `maxChars` characters.
+// Pages and paragraphs are separated by blank lines, so we cut there first and
+// only fall back to line breaks, sentence ends and finally hard cuts when a
+// single paragraph is larger than a whole chunk.
+export function chunkText(text, maxChars) {
+  const pieces = text
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .flatMap((p) => splitOversized(p, maxChars));
+
+  return packChunks(pieces, maxChars);
+}
+
+// Greedily joins pieces with blank lines into chunks of at most `maxChars`.
+// Pieces are never split, so callers must size them first.
+export function packChunks(pieces, maxChars) {
+  const chunks = [];
+  let current = "";
+  for (const piece of pieces) {
+    if (current && current.length + 2 + piece.length > maxChars) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function splitOversized(paragraph, maxChars) {
+  if (paragraph.length <= maxChars) return [paragraph];
+
+  for (const separator of [/\n/, /(?<=[.!?])\s+/]) {
+    const parts = paragraph.split(separator).filter(Boolean);
+    if (parts.length > 1) return pack(parts, maxChars, " ");
+  }
+
+  const out = [];
+  for (let i = 0; i < paragraph.length; i += maxChars) {
+    out.push(paragraph.slice(i, i + maxChars));
+  }
+  return out;
+}
+
+// Greedily joins parts back together without exceeding maxChars, recursing on
+// any part that is still too large on its own.
+function pack(parts, maxChars, joiner) {
+  const out = [];
+  let current = "";
+  for (const part of parts.flatMap((p) => splitOversized(p, maxChars))) {
+    if (current && current.length + joiner.length + part.length > maxChars) {
+      out.push(current);
+      current = "";
+    }
+    current = current ? `${current}${joiner}${part}` : part;
+  }
+  if (current) out.push(current);
+  return out;
+}
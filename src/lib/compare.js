@@ -0,0 +1,168 @@
+import { getProvider } from "./providers/index.js";
+import { generateJson, inputBudget, languageRule } from "./llm.js";
+
+export const CHANGE_CATEGORIES = [
+  { id: "obligation", label: "Obligation" },
+  { id: "number", label: "Number" },
+  { id: "date", label: "Date" },
+  { id: "other", label: "Other" },
+];
+
+// Longest paragraph put into a prompt; the diff view still shows all of it.
+const MAX_PARAGRAPH_CHARS = 1500;
+
+const CHANGES = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      kind: { type: "string", enum: ["added", "removed", "changed"] },
+      category: { type: "string", enum: CHANGE_CATEGORIES.map((c) => c.id) },
+      description: { type: "string" },
+      hunks: { type: "array", items: { type: "integer" } },
+    },
+    required: ["kind", "category", "description", "hunks"],
+  },
+};
+
+// Every reply must end up as {summary, changes}.
+const COMPARISON_SCHEMA = {
+  type: "object",
+  properties: { summary: { type: "string" }, changes: CHANGES },
+  required: ["summary", "changes"],
+};
+
+const SUMMARY_ONLY_SCHEMA = {
+  type: "object",
+  properties: { summary: { type: "string" } },
+  required: ["summary"],
+};
+
+// Numeric strings or "#3" as hunk ids, and categories the model made up.
+function repairComparison(value) {
+  if (!value || typeof value !== "object" || !Array.isArray(value.changes)) return value;
+  const categories = CHANGE_CATEGORIES.map((c) => c.id);
+  const changes = value.changes.map((c) => {
+    if (!c || typeof c !== "object") return c;
+    const hunks = Array.isArray(c.hunks) ? c.hunks.map((h) => Number(String(h).replace(/^#/, ""))) : [];
+    const category = String(c.category || "").toLowerCase();
+    return {
+      ...c,
+      category: categories.includes(category) ? category : "other",
+      hunks: hunks.filter(Number.isInteger),
+    };
+  });
+  return { ...value, changes };
+}
+
+const clip = (text) => (text.length > MAX_PARAGRAPH_CHARS ? `${text.slice(0, MAX_PARAGRAPH_CHARS)}…` : text);
+
+// A hunk as the model sees it: "- " lines were removed, "+ " lines added.
+// A hunk longer than `maxChars` (a full rewrite, or two unrelated files) is
+// split into several texts that share its [#N] tag, so no prompt outgrows
+// the model's input budget.
+function hunkTexts(hunk, maxChars) {
+  const tag = `[#${hunk.id}]`;
+  const lines = hunk.rows.flatMap((row) => [
+    ...(row.before ? [`- ${clip(row.before.text)}`] : []),
+    ...(row.after ? [`+ ${clip(row.after.text)}`] : []),
+  ]);
+  const out = [tag];
+  for (const line of lines) {
+    if (out.at(-1).length + line.length + 1 > maxChars && out.at(-1) !== tag) out.push(tag);
+    out[out.length - 1] += `\n${line}`;
+  }
+  return out;
+}
+
+function comparisonPrompt(hunkTexts, names, language) {
+  return `
+You are given the differences between two versions of a document: "${names.before}" (before)
+and "${names.after}" (after). Each difference is tagged [#N]; lines starting with "- "
+were removed and lines starting with "+ " were added. Summarise the substantive changes.
+Respond ONLY as strict JSON:
+{"summary":"...",
+ "changes":[{"kind":"changed","category":"number","description":"...","hunks":[1]}]}
+
+Rules:
+- "summary": ≈60-150 words on what changed overall and why it matters
+- one entry in "changes" per substantive change: obligations or rights added or removed,
+  changed numbers, amounts, dates and deadlines, added or removed sections
+- "kind" is added, removed or changed; "category" is obligation, number, date or other
+- "description" states the change concretely, with old and new values where there are any
+- "hunks" lists the [#N] tags the change comes from
+- skip changes to wording, formatting or numbering that do not change the meaning
+- language: ${languageRule(language)}
+
+DIFFERENCES:
+${hunkTexts.join("\n\n")}
+`;
+}
+
+function mergePrompt(changes, names, language) {
+  return `
+These are the substantive changes between "${names.before}" and "${names.after}".
+Summarise them in ≈60-150 words: what changed overall and why it matters.
+Respond ONLY as strict JSON: {"summary":"..."}
+
+Rules:
+- language: ${languageRule(language)}
+
+CHANGES:
+${changes.map((c) => `- (${c.kind}, ${c.category}) ${c.description}`).join("\n")}
+`;
+}
+
+// Packs hunk texts into prompt-sized batches, in order.
+function batches(texts, maxChars) {
+  const out = [[]];
+  let used = 0;
+  for (const text of texts) {
+    if (used + text.length > maxChars && out.at(-1).length) {
+      out.push([]);
+      used = 0;
+    }
+    out.at(-1).push(text);
+    used += text.length + 2;
+  }
+  return out;
+}
+
+// Summarises the differences found by diffDocuments (see diff.js) between
+// two versions named `names.before` and `names.after`. Returns
+// {summary, changes, provider, model}, where each change is
+// {kind, category, description, hunks} and `hunks` are ids of the diff's
+// hunks. Many differences are summarised in batches whose summaries are
+// then merged. `onProgress` receives {stage, label} updates.
+export async function compareDocuments({ diff, names, language, provider = getProvider(), signal, onProgress }) {
+  if (!diff.hunks.length) {
+    return { summary: "", changes: [], provider: provider.id, model: provider.model };
+  }
+  const ids = new Set(diff.hunks.map((h) => h.id));
+  const budget = inputBudget(provider);
+  const parts = batches(diff.hunks.flatMap((hunk) => hunkTexts(hunk, budget)), budget);
+
+  const changes = [];
+  let summary = "";
+  for (const [i, part] of parts.entries()) {
+    onProgress?.({
+      stage: "model",
+      label: parts.length > 1 ? `Comparing part ${i + 1} of ${parts.length}` : "Comparing versions",
+    });
+    const out = await generateJson(provider, comparisonPrompt(part, names, language), {
+      schema: COMPARISON_SCHEMA,
+      repair: repairComparison,
+      signal,
+    });
+    changes.push(...out.changes.map((c) => ({ ...c, hunks: c.hunks.filter((h) => ids.has(h)) })));
+    summary = out.summary;
+  }
+  if (parts.length > 1) {
+    onProgress?.({ stage: "model", label: "Merging…" });
+    ({ summary } = await generateJson(provider, mergePrompt(changes, names, language), {
+      schema: SUMMARY_ONLY_SCHEMA,
+      signal,
+    }));
+  }
+  return { summary, changes, provider: provider.id, model: provider.model };
+}
@@ -0,0 +1,32 @@
+// Runs `fn(item, index)` over `items` with at most `limit` calls in flight and
+// resolves to the results in input order. Stops starting new calls once one
+// fails or `signal` aborts.
+export async function mapLimit(items, limit, fn, { signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function run() {
+    while (next < items.length && !failed) {
+      signal?.throwIfAborted();
+      const i = next++;
+      try {
+        results[i] = await fn(items[i], i);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  }
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run);
+  await Promise.all(runners);
+  return results;
+}
+
+// A sensible default parallelism for CPU-heavy work in the browser, leaving
+// one core for the UI.
+export function defaultConcurrency(max = 4) {
+  const cores = globalThis.navigator?.hardwareConcurrency || 2;
+  return Math.max(1, Math.min(max, cores - 1));
+}
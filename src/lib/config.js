@@ -0,0 +1,44 @@
+import { defaultConcurrency } from "./concurrency.js";
+
+// Runtime configuration, read from Vite env variables (.env.local). Vite
+// inlines import.meta.env in the browser build; under Node (the CLI) the same
+// variables come from the process environment.
+const env = import.meta.env ?? globalThis.process?.env ?? {};
+
+export const config = {
+  // Which LLM backend to use: "gemini" or "openai" (any OpenAI-compatible
+  // chat-completions server, e.g. Ollama or llama.cpp).
+  provider: env.VITE_LLM_PROVIDER || "gemini",
+
+  gemini: {
+    // Without a key in the browser, requests go through the API proxy in
+    // server/, which holds the key instead. A browser key is for local
+    // development only: it ends up in the bundle.
+    apiKey: env.VITE_GEMINI_API_KEY,
+    proxyUrl: env.VITE_API_URL || "/api",
+    model: env.VITE_GEMINI_MODEL || "gemini-2.0-flash",
+    baseUrl: env.VITE_GEMINI_BASE_URL || "https://generativelanguage.googleapis.com/v1beta",
+  },
+
+  openai: {
+    baseUrl: env.VITE_OPENAI_BASE_URL || "http://localhost:11434/v1",
+    apiKey: env.VITE_OPENAI_API_KEY || "",
+    model: env.VITE_OPENAI_MODEL || "llama3.1",
+    contextTokens: Number(env.VITE_OPENAI_CONTEXT_TOKENS) || 8192,
+    structuredOutput: env.VITE_OPENAI_STRUCTURED_OUTPUT !== "false",
+  },
+
+  extraction: {
+    // PDF pages read and OCR'd at once, and Tesseract workers per language.
+    concurrency: Number(env.VITE_EXTRACT_CONCURRENCY) || defaultConcurrency(),
+    // Where Tesseract keeps downloaded language models; unset in the browser,
+    // where they go to IndexedDB.
+    ocrCachePath: env.VITE_OCR_CACHE_PATH,
+  },
+
+  cache: {
+    // Extracted text and summaries kept in IndexedDB before the least
+    // recently used entries are evicted.
+    maxBytes: (Number(env.VITE_CACHE_MAX_MB) || 100) * 1024 * 1024,
+  },
+};
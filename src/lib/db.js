@@ -0,0 +1,46 @@
+// The app's IndexedDB database. Version 1 held only "history"; version 2
+// adds the content-hash cache ("cache" holds values, "cacheMeta" their size
+// and last use, so eviction never has to load the values themselves).
+const DB_NAME = "precis";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("history")) {
+          db.createObjectStore("history", { keyPath: "id" }).createIndex("createdAt", "createdAt");
+        }
+        if (!db.objectStoreNames.contains("cache")) {
+          db.createObjectStore("cache", { keyPath: "key" });
+          db.createObjectStore("cacheMeta", { keyPath: "key" }).createIndex("usedAt", "usedAt");
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `fn(stores)` in a transaction over the named stores (`stores` maps each
+// name to its object store) and resolves with the value of the request it
+// returns (if any) once the transaction completes.
+export async function withStores(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const req = fn(Object.fromEntries(names.map((name) => [name, tx.objectStore(name)])));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function withStore(name, mode, fn) {
+  return withStores([name], mode, (stores) => fn(stores[name]));
+}
@@ -0,0 +1,159 @@
+// Paragraph-aligned diff of two extracted documents (see document.js), with
+// word-level detail for paragraphs that were edited rather than replaced.
+
+// Above this many cells the LCS table is not built and the differing middle
+// is reported as removed then added.
+const MAX_LCS_CELLS = 4000000;
+// Word overlap from which a removed and an added paragraph count as one edit.
+const MIN_SIMILARITY = 0.4;
+
+const normalise = (text) => text.replace(/\s+/g, " ").trim();
+
+// Every paragraph of `doc` as {n, text}, where `n` is its segment.
+export function paragraphsOf(doc) {
+  return doc.segments.flatMap((s) =>
+    s.text
+      .split(/\n\s*\n/)
+      .map((text) => text.trim())
+      .filter(Boolean)
+      .map((text) => ({ n: s.n, text }))
+  );
+}
+
+// Edit script turning `a` into `b` (lists of comparable keys) as
+// [{type: "equal" | "delete" | "insert", a, b}], where `a` and `b` are indexes.
+function diffKeys(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: "equal", a: i, b: i });
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_LCS_CELLS) {
+    for (let i = start; i < endA; i++) ops.push({ type: "delete", a: i });
+    for (let j = start; j < endB; j++) ops.push({ type: "insert", b: j });
+  } else {
+    // lcs[i * (m + 1) + j]: LCS length of the middles from i and j onwards.
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] =
+          a[start + i] === b[start + j]
+            ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+            : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        ops.push({ type: "equal", a: start + i++, b: start + j++ });
+      } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+        ops.push({ type: "delete", a: start + i++ });
+      } else {
+        ops.push({ type: "insert", b: start + j++ });
+      }
+    }
+  }
+  for (let k = 0; k < a.length - endA; k++) ops.push({ type: "equal", a: endA + k, b: endB + k });
+  return ops;
+}
+
+// Word-level changes between two paragraphs as [{type, text}] runs, where
+// type is equal | delete | insert.
+export function diffWords(before, after) {
+  const a = before.split(/(\s+)/);
+  const b = after.split(/(\s+)/);
+  const runs = [];
+  for (const op of diffKeys(a, b)) {
+    const text = op.type === "insert" ? b[op.b] : a[op.a];
+    const last = runs.at(-1);
+    if (last?.type === op.type) last.text += text;
+    else runs.push({ type: op.type, text });
+  }
+  return runs;
+}
+
+// Share of words the two paragraphs have in common (Dice coefficient).
+function similarity(a, b) {
+  const words = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const wa = words(a);
+  const wb = words(b);
+  if (!wa.length || !wb.length) return 0;
+  const counts = new Map();
+  for (const w of wa) counts.set(w, (counts.get(w) || 0) + 1);
+  let shared = 0;
+  for (const w of wb) {
+    if (counts.get(w) > 0) {
+      shared++;
+      counts.set(w, counts.get(w) - 1);
+    }
+  }
+  return (2 * shared) / (wa.length + wb.length);
+}
+
+// Rows for one run of removed and added paragraphs: similar pairs become
+// "changed" rows with word-level detail, the rest "removed" or "added".
+function hunkRows(removed, added) {
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < removed.length || j < added.length) {
+    const before = removed[i];
+    const after = added[j];
+    if (before && after && similarity(before.text, after.text) >= MIN_SIMILARITY) {
+      rows.push({ type: "changed", before, after, words: diffWords(before.text, after.text) });
+      i++;
+      j++;
+    } else if (before && (!after || removed.length - i >= added.length - j)) {
+      rows.push({ type: "removed", before });
+      i++;
+    } else {
+      rows.push({ type: "added", after });
+      j++;
+    }
+  }
+  return rows;
+}
+
+// Compares two extracted documents paragraph by paragraph. Returns
+// {rows, hunks}: `rows` is the whole aligned document, each
+// {type: "equal" | "removed" | "added" | "changed", before, after, hunk},
+// with `before`/`after` as {n, text} and `hunk` the id of the change it
+// belongs to (none for equal rows); `hunks` lists each change as {id, rows}.
+// Ids count from 1 in document order.
+export function diffDocuments(beforeDoc, afterDoc) {
+  const a = paragraphsOf(beforeDoc);
+  const b = paragraphsOf(afterDoc);
+  const ops = diffKeys(a.map((p) => normalise(p.text)), b.map((p) => normalise(p.text)));
+
+  const rows = [];
+  const hunks = [];
+  let removed = [];
+  let added = [];
+  const close = () => {
+    if (!removed.length && !added.length) return;
+    const hunk = { id: hunks.length + 1, rows: hunkRows(removed, added).map((row) => ({ ...row, hunk: hunks.length + 1 })) };
+    hunks.push(hunk);
+    rows.push(...hunk.rows);
+    removed = [];
+    added = [];
+  };
+  for (const op of ops) {
+    if (op.type === "delete") removed.push(a[op.a]);
+    else if (op.type === "insert") added.push(b[op.b]);
+    else {
+      close();
+      rows.push({ type: "equal", before: a[op.a], after: b[op.b] });
+    }
+  }
+  close();
+  return { rows, hunks };
+}
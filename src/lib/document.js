@@ -0,0 +1,91 @@
+import { chunkText, packChunks } from "./chunkText.js";
+
+// An extracted document is its text split into numbered segments: pages for
+// PDFs, slides for presentations, paragraphs for everything else. Key point
+// citations refer to these segment numbers.
+
+const UNITS = {
+  page: { prefix: "p.", noun: "page" },
+  slide: { prefix: "slide", noun: "slide" },
+  paragraph: { prefix: "¶", noun: "paragraph" },
+};
+
+// `pages` are {text, ocr} objects as returned by extractPdfText.
+export function pagedDocument(pages) {
+  return {
+    unit: "page",
+    segments: pages.map(({ text, ocr }, i) => ({ n: i + 1, text, ocr })),
+  };
+}
+
+// One segment per slide, in slide order.
+export function slideDocument(slides) {
+  return {
+    unit: "slide",
+    segments: slides.map((text, i) => ({ n: i + 1, text })),
+  };
+}
+
+export function paragraphDocument(text) {
+  return {
+    unit: "paragraph",
+    segments: text
+      .split(/\n\s*\n/)
+      .map((p) => p.trim())
+      .filter(Boolean)
+      .map((p, i) => ({ n: i + 1, text: p })),
+  };
+}
+
+// Plain text of the whole document, as shown in the extracted-text view.
+export function documentText(doc) {
+  return doc.segments
+    .map((s) => s.text.trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// The "[p. 3]"-style tag put before a segment's text in prompts.
+export function segmentMarker(unit, n) {
+  return `[${UNITS[unit].prefix} ${n}]`;
+}
+
+// Document text with a segment marker before every page/paragraph, split into
+// prompt-sized chunks that never separate a piece of text from its marker.
+export function chunkDocument(doc, maxChars) {
+  const pieces = doc.segments
+    .filter((s) => s.text.trim())
+    .flatMap((s) => {
+      const tag = segmentMarker(doc.unit, s.n);
+      return chunkText(s.text, maxChars - tag.length - 1).map((piece) => `${tag}\n${piece}`);
+    });
+  return packChunks(pieces, maxChars);
+}
+
+// How the model should cite, phrased for the document's segment unit.
+export function citationRule(unit) {
+  const { prefix, noun } = UNITS[unit];
+  return `${noun}s are marked [${prefix} N]; "sources" lists the ${noun} numbers each key point is based on`;
+}
+
+// Collapses segment numbers into ranges: [2, 3, 4, 7] -> [[2, 4], [7, 7]].
+export function citationRanges(sources) {
+  const sorted = [...new Set(sources)].sort((a, b) => a - b);
+  const ranges = [];
+  for (const n of sorted) {
+    const last = ranges.at(-1);
+    if (last && n === last[1] + 1) last[1] = n;
+    else ranges.push([n, n]);
+  }
+  return ranges;
+}
+
+export function formatCitation(unit, [from, to]) {
+  const { prefix } = UNITS[unit] || UNITS.paragraph;
+  return from === to ? `${prefix} ${from}` : `${prefix} ${from}–${to}`;
+}
+
+// A key point's sources as "p. 2–4, 7"
+export function citationLabel(unit, sources) {
+  return citationRanges(sources).map((r) => formatCitation(unit, r)).join(", ");
+}
@@ -0,0 +1,148 @@
+import { chunkDocument, citationRule, formatCitation } from "./document.js";
+import { getProvider } from "./providers/index.js";
+import { generateJson, inputBudget } from "./llm.js";
+import { languageLabel } from "./languages.js";
+
+export const ENTITY_TYPES = [
+  { id: "person", label: "People" },
+  { id: "organisation", label: "Organisations" },
+  { id: "date", label: "Dates" },
+  { id: "money", label: "Amounts" },
+  { id: "percentage", label: "Percentages" },
+  { id: "term", label: "Defined terms" },
+];
+
+const TYPE_IDS = ENTITY_TYPES.map((t) => t.id);
+
+// Characters of context kept on each side of an entity in its snippet.
+const SNIPPET_CONTEXT = 70;
+
+// Every reply must end up as {entities: [{type, name, note, sources}]}.
+const ENTITY_SCHEMA = {
+  type: "object",
+  properties: {
+    entities: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          type: { type: "string", enum: TYPE_IDS },
+          name: { type: "string" },
+          note: { type: "string" },
+          sources: { type: "array", items: { type: "integer" } },
+        },
+        required: ["type", "name", "note", "sources"],
+      },
+    },
+  },
+  required: ["entities"],
+};
+
+// Models use their own words for types now and then, and skip empty fields.
+const TYPE_ALIASES = {
+  people: "person",
+  organization: "organisation",
+  org: "organisation",
+  company: "organisation",
+  amount: "money",
+  currency: "money",
+  percent: "percentage",
+  definition: "term",
+  defined_term: "term",
+};
+
+function repairEntities(value) {
+  if (!value || typeof value !== "object" || !Array.isArray(value.entities)) return value;
+  const entities = value.entities
+    .map((e) => {
+      const type = String(e?.type || "").toLowerCase().replace(/\s+/g, "_");
+      return {
+        ...e,
+        type: TYPE_ALIASES[type] || type,
+        note: e?.note ?? "",
+        sources: Array.isArray(e?.sources) ? e.sources.map(Number).filter(Number.isInteger) : [],
+      };
+    })
+    .filter((e) => TYPE_IDS.includes(e.type) && typeof e.name === "string" && e.name.trim());
+  return { ...value, entities };
+}
+
+function entityPrompt(text, unit, language) {
+  return `
+List the named entities and figures in this document. Respond ONLY as strict JSON:
+{"entities":[{"type":"person","name":"...","note":"...","sources":[1]}]}
+
+Rules:
+- "type" is one of: person, organisation, date, money, percentage, term
+- "term" is a term the document defines; "note" gives its definition
+- for other types, "note" says in a few words who or what it is, or what the figure refers to
+- copy "name" exactly as written in the document (same spelling, same number format)
+- list each entity once; skip generic words, page numbers and section numbers
+- note language: ${language ? `write notes in ${languageLabel(language)}` : "write notes in the language of the document"}
+- cite sources: ${citationRule(unit)}
+
+DOCUMENT:
+"""${text}"""
+`;
+}
+
+const normalise = (text) => text.replace(/\s+/g, " ");
+
+// The first place `name` occurs, looking in the cited segments before the
+// rest, as {n, snippet}; null if the document never mentions it.
+function locate(doc, name, sources) {
+  const needle = normalise(name).toLowerCase();
+  const cited = doc.segments.filter((s) => sources.includes(s.n));
+  for (const segment of [...cited, ...doc.segments]) {
+    const text = normalise(segment.text);
+    const at = text.toLowerCase().indexOf(needle);
+    if (at === -1) continue;
+    const from = Math.max(0, text.lastIndexOf(" ", Math.max(0, at - SNIPPET_CONTEXT)));
+    let to = text.indexOf(" ", at + needle.length + SNIPPET_CONTEXT);
+    if (to === -1) to = text.length;
+    const snippet = `${from > 0 ? "…" : ""}${text.slice(from, to).trim()}${to < text.length ? "…" : ""}`;
+    return { n: segment.n, snippet };
+  }
+  return null;
+}
+
+// Finds people, organisations, dates, amounts, percentages and defined terms
+// in `doc`, chunk by chunk for long documents. Returns a list of
+// {type, name, note, n, snippet}, where `n` is the segment the entity was
+// found in and `snippet` the text around it. Entities the model names but
+// the document does not contain are dropped.
+export async function extractEntities({ doc, language, provider = getProvider(), signal }) {
+  const found = new Map();
+  for (const chunk of chunkDocument(doc, inputBudget(provider))) {
+    const out = await generateJson(provider, entityPrompt(chunk, doc.unit, language), {
+      schema: ENTITY_SCHEMA,
+      repair: repairEntities,
+      signal,
+    });
+    for (const e of out.entities) {
+      const name = e.name.trim();
+      const key = `${e.type}:${name.toLowerCase()}`;
+      if (found.has(key)) continue;
+      const place = locate(doc, name, e.sources);
+      if (place) found.set(key, { type: e.type, name, note: e.note.trim(), ...place });
+    }
+  }
+  // Grouped by type, then in document order.
+  return [...found.values()].sort((a, b) => TYPE_IDS.indexOf(a.type) - TYPE_IDS.indexOf(b.type) || a.n - b.n);
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The entity list as CSV, one row per entity. The byte order mark makes
+// Excel read it as UTF-8.
+export function entitiesCsv(entities, unit) {
+  const label = (type) => ENTITY_TYPES.find((t) => t.id === type)?.label || type;
+  const rows = [
+    ["type", "name", "note", "location", "snippet"],
+    ...entities.map((e) => [label(e.type), e.name, e.note, formatCitation(unit, [e.n, e.n]), e.snippet]),
+  ];
+  return "\uFEFF" + rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
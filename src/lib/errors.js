@@ -0,0 +1,93 @@
+// Typed failures from model calls. Every class carries a `kind` so the UI can
+// say what went wrong instead of showing a bare HTTP status.
+export class LlmError extends Error {
+  constructor(message, { status, cause } = {}) {
+    super(message, { cause });
+    this.name = "LlmError";
+    this.kind = "provider";
+    this.status = status;
+  }
+}
+
+// Missing, invalid or unauthorised API key.
+export class AuthError extends LlmError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "AuthError";
+    this.kind = "auth";
+  }
+}
+
+// Rate limited or out of quota (HTTP 429). `retryAfter` is in seconds when
+// the server said.
+export class QuotaError extends LlmError {
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, options);
+    this.name = "QuotaError";
+    this.kind = "quota";
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The provider refused the prompt or stopped the reply on safety grounds.
+export class SafetyError extends LlmError {
+  constructor(message, { reason, ...options } = {}) {
+    super(message, options);
+    this.name = "SafetyError";
+    this.kind = "safety";
+    this.reason = reason;
+  }
+}
+
+// The reply could not be turned into the requested JSON shape, even after
+// repair and a retry. `errors` are the last validation errors.
+export class MalformedOutputError extends LlmError {
+  constructor(message, { errors = [], raw = "", ...options } = {}) {
+    super(message, options);
+    this.name = "MalformedOutputError";
+    this.kind = "malformed";
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+const TITLES = {
+  auth: "Authentication failed",
+  quota: "Rate limit reached",
+  safety: "Blocked by safety filters",
+  malformed: "Unusable model reply",
+};
+
+// Heading for an error message in the UI.
+export function errorTitle(err) {
+  return TITLES[err?.kind] || "Error";
+}
+
+// Turns a failed HTTP response from a provider into the matching error.
+// `label` names the provider or model in the message.
+export async function httpError(res, label) {
+  let detail = "";
+  try {
+    const body = await res.text();
+    try {
+      const data = JSON.parse(body);
+      detail = data?.error?.message || data?.error || data?.message || body;
+    } catch {
+      detail = body;
+    }
+  } catch {
+    detail = "";
+  }
+  detail = String(detail).trim().slice(0, 300);
+  const suffix = detail ? `: ${detail}` : "";
+
+  if (res.status === 401 || res.status === 403 || (res.status === 400 && /api[ _-]?key/i.test(detail))) {
+    return new AuthError(`${label} rejected the API key (${res.status})${suffix}`, { status: res.status });
+  }
+  if (res.status === 429) {
+    const retryAfter = Number(res.headers.get("retry-after")) || undefined;
+    const wait = retryAfter ? ` Try again in ${retryAfter}s.` : " Wait a little and try again.";
+    return new QuotaError(`${label} rate limit or quota exceeded (429).${wait}`, { status: 429, retryAfter });
+  }
+  return new LlmError(`${label} error ${res.status}${suffix}`, { status: res.status });
+}
@@ -0,0 +1,203 @@
+import { zipSync, strToU8 } from "fflate";
+import { documentText, citationLabel } from "./document.js";
+import { isRtl } from "./languages.js";
+import { modeSections } from "./modes.js";
+
+// Turns a finished summary into downloadable files. Every export takes the
+// same `data`: {fileName, length, result, doc, language}, where `doc` is only
+// used for the optional extracted-text appendix and its language; `language`
+// stands in for the latter when there is no document (shared links).
+
+export const EXPORT_FORMATS = [
+  { value: "md", label: "Markdown (.md)" },
+  { value: "json", label: "JSON (.json)" },
+  { value: "docx", label: "Word (.docx)" },
+  { value: "pdf", label: "PDF (.pdf)" },
+];
+
+function keyPointLine(kp, unit) {
+  return kp.sources.length ? `${kp.text} (${citationLabel(unit, kp.sources)})` : kp.text;
+}
+
+// A mode section item as one line: "text (p. 2) — detail"
+function itemLine(item, unit) {
+  const cite = item.sources?.length ? ` (${citationLabel(unit, item.sources)})` : "";
+  return `${item.text}${cite}${item.detail ? ` — ${item.detail}` : ""}`;
+}
+
+// Marks summaries made without a model (see extractive.js), whose text is
+// quoted rather than written.
+const EXTRACTIVE_NOTE = "Extractive summary: sentences quoted directly from the document.";
+
+function baseName(fileName) {
+  return fileName.replace(/\.[^.]+$/, "") || "document";
+}
+
+export function resultMarkdown({ fileName, result, doc }, { appendix = false } = {}) {
+  const parts = [
+    fileName ? `# Summary of ${fileName}` : "# Summary",
+    ...(result.extractive ? [`_${EXTRACTIVE_NOTE}_`] : []),
+    result.summary,
+    ...modeSections(result).flatMap((section) => [
+      `## ${section.title}`,
+      section.text || section.items.map((item) => `- ${itemLine(item, result.unit)}`).join("\n"),
+    ]),
+    "## Key Points",
+    result.key_points.map((kp) => `- ${keyPointLine(kp, result.unit)}`).join("\n"),
+  ];
+  if (appendix && doc) parts.push("## Appendix: Extracted Text", documentText(doc));
+  return parts.join("\n\n") + "\n";
+}
+
+export function resultJson({ fileName, length, result, doc }, { appendix = false } = {}) {
+  return JSON.stringify(
+    {
+      source: fileName,
+      length,
+      provider: result.provider,
+      model: result.model,
+      exportedAt: new Date().toISOString(),
+      mode: result.mode,
+      ...(result.extractive && { extractive: true }),
+      summary: result.summary,
+      key_points: result.key_points.map((kp) => ({ text: kp.text, sources: kp.sources })),
+      sections: modeSections(result),
+      citation_unit: result.unit,
+      ...(appendix && doc ? { extracted_text: documentText(doc) } : {}),
+    },
+    null,
+    2
+  );
+}
+
+// XML 1.0 forbids most control characters, which PDF text layers sometimes
+// contain, so they are dropped rather than escaped.
+function escapeXml(text) {
+  return [...text]
+    .filter((ch) => ch >= " " || ch === "\t" || ch === "\n" || ch === "\r")
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// One WordprocessingML paragraph; `size` is in half-points.
+function docxParagraph(text, { bold = false, size = 22, rtl = false, spaceAfter = 120 } = {}) {
+  const runProps = `<w:rPr>${bold ? "<w:b/>" : ""}<w:sz w:val="${size}"/>${rtl ? "<w:rtl/>" : ""}</w:rPr>`;
+  const runs = text
+    .split("\n")
+    .map((line, i) => `<w:r>${runProps}${i ? "<w:br/>" : ""}<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`)
+    .join("");
+  return `<w:p><w:pPr>${rtl ? "<w:bidi/>" : ""}<w:spacing w:after="${spaceAfter}"/></w:pPr>${runs}</w:p>`;
+}
+
+// A minimal .docx package: content types, the package relationship and the
+// document part. Headings and bullets use direct formatting, so no styles or
+// numbering parts are needed.
+export function resultDocx({ fileName, result, doc, language }, { appendix = false } = {}) {
+  const rtl = isRtl(doc?.language || language);
+  const body = [
+    docxParagraph(fileName ? `Summary of ${fileName}` : "Summary", { bold: true, size: 36, spaceAfter: 240 }),
+    ...(result.extractive ? [docxParagraph(EXTRACTIVE_NOTE, { size: 18 })] : []),
+    docxParagraph(result.summary, { rtl }),
+    ...modeSections(result).flatMap((section) => [
+      docxParagraph(section.title, { bold: true, size: 28 }),
+      ...(section.text
+        ? [docxParagraph(section.text, { rtl })]
+        : section.items.map((item) => docxParagraph(`•  ${itemLine(item, result.unit)}`, { rtl }))),
+    ]),
+    docxParagraph("Key Points", { bold: true, size: 28 }),
+    ...result.key_points.map((kp) => docxParagraph(`•  ${keyPointLine(kp, result.unit)}`, { rtl })),
+  ];
+  if (appendix && doc) {
+    body.push(docxParagraph("Appendix: Extracted Text", { bold: true, size: 28 }));
+    body.push(...documentText(doc).split(/\n\s*\n/).map((p) => docxParagraph(p, { size: 20, rtl })));
+  }
+
+  const files = {
+    "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>`,
+    "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`,
+    "word/document.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body.join("")}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`,
+  };
+  const zip = zipSync(Object.fromEntries(Object.entries(files).map(([name, xml]) => [name, strToU8(xml)])));
+  return new Blob([zip], { type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" });
+}
+
+// A4 PDF laid out with jsPDF, loaded on demand since most users never need it.
+// jsPDF's built-in fonts only cover Latin-1, so other scripts are best
+// exported as DOCX.
+export async function resultPdf({ fileName, length, result, doc }, { appendix = false } = {}) {
+  const { jsPDF } = await import("jspdf");
+  const pdf = new jsPDF({ unit: "pt", format: "a4" });
+  const margin = 56;
+  const width = pdf.internal.pageSize.getWidth() - margin * 2;
+  const bottom = pdf.internal.pageSize.getHeight() - margin;
+  let y = margin;
+
+  function write(text, { size = 11, style = "normal", gap = 8, indent = 0, color = 20 } = {}) {
+    pdf.setFont("helvetica", style);
+    pdf.setFontSize(size);
+    pdf.setTextColor(color);
+    const lineHeight = size * 1.35;
+    for (const line of pdf.splitTextToSize(text, width - indent)) {
+      if (y + lineHeight > bottom) {
+        pdf.addPage();
+        y = margin;
+      }
+      pdf.text(line, margin + indent, y + size);
+      y += lineHeight;
+    }
+    y += gap;
+  }
+
+  write(fileName ? `Summary of ${fileName}` : "Summary", { size: 18, style: "bold", gap: 4 });
+  const meta = [
+    length && `${length} summary`,
+    result.extractive && "extractive, quoted from the document",
+    result.model && `via ${result.model}`,
+    new Date().toLocaleString(),
+  ];
+  write(meta.filter(Boolean).join(" · "), { size: 9, color: 110, gap: 16 });
+  function bullet(text) {
+    const start = y;
+    write(text, { indent: 14, gap: 4 });
+    if (y > start) pdf.text("•", margin + 2, start + 11);
+  }
+
+  write(result.summary, { gap: 16 });
+  for (const section of modeSections(result)) {
+    write(section.title, { size: 14, style: "bold" });
+    if (section.text) write(section.text, { gap: 16 });
+    else section.items.forEach((item) => bullet(itemLine(item, result.unit)));
+    if (section.items) y += 12;
+  }
+  write("Key Points", { size: 14, style: "bold" });
+  result.key_points.forEach((kp) => bullet(keyPointLine(kp, result.unit)));
+  if (appendix && doc) {
+    y += 12;
+    write("Appendix: Extracted Text", { size: 14, style: "bold" });
+    for (const p of documentText(doc).split(/\n\s*\n/)) write(p, { size: 9, gap: 6, color: 60 });
+  }
+  return pdf.output("blob");
+}
+
+// Builds the export in `format` and returns {fileName, content} ready for
+// downloadFile.
+export async function exportResult(format, data, options) {
+  const name = `${baseName(data.fileName || "")}-summary`;
+  switch (format) {
+    case "md":
+      return { fileName: `${name}.md`, content: new Blob([resultMarkdown(data, options)], { type: "text/markdown" }) };
+    case "json":
+      return { fileName: `${name}.json`, content: new Blob([resultJson(data, options)], { type: "application/json" }) };
+    case "docx":
+      return { fileName: `${name}.docx`, content: resultDocx(data, options) };
+    case "pdf":
+      return { fileName: `${name}.pdf`, content: await resultPdf(data, options) };
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
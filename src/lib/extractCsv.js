@@ -0,0 +1,80 @@
+import { toMarkdownTable } from "./markdownTable.js";
+
+// Data rows per rendered table; each block repeats the header so it still
+// reads correctly when the document is chunked or cited by paragraph.
+const ROWS_PER_BLOCK = 25;
+
+// Parses delimited text (RFC 4180 quoting) into rows of cells.
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// Picks the delimiter that splits the first lines into the most consistent
+// number of columns.
+function sniffDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(Boolean).slice(0, 10);
+  let best = ",";
+  let bestScore = 0;
+  for (const d of [",", "\t", ";", "|"]) {
+    const counts = lines.map((l) => l.split(d).length - 1);
+    const consistent = counts.every((c) => c === counts[0]);
+    const score = counts[0] * (consistent ? 2 : 1);
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Renders CSV/TSV as readable Markdown tables, in blocks of ROWS_PER_BLOCK
+// rows that each repeat the header row.
+export function csvToText(text, delimiter = sniffDelimiter(text)) {
+  const rows = parseDelimited(text.replace(/^\uFEFF/, ""), delimiter);
+  if (!rows.length) return "";
+  const [header, ...data] = rows;
+  if (!data.length) return toMarkdownTable([header]);
+
+  const blocks = [];
+  for (let i = 0; i < data.length; i += ROWS_PER_BLOCK) {
+    const slice = data.slice(i, i + ROWS_PER_BLOCK);
+    const range = `Rows ${i + 1}–${i + slice.length} of ${data.length}`;
+    blocks.push(`${range}\n${toMarkdownTable([header, ...slice])}`);
+  }
+  return blocks.join("\n\n");
+}
@@ -0,0 +1,71 @@
+import { unzipSync, strFromU8 } from "fflate";
+import { toMarkdownTable } from "./markdownTable.js";
+
+const W = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+function children(el, name) {
+  return Array.from(el.childNodes).filter((n) => n.namespaceURI === W && n.localName === name);
+}
+
+function paragraphText(p) {
+  let text = "";
+  for (const node of p.getElementsByTagNameNS(W, "*")) {
+    if (node.localName === "t") text += node.textContent;
+    else if (node.localName === "tab") text += "\t";
+    else if (node.localName === "br" || node.localName === "cr") text += "\n";
+  }
+  return text.trim();
+}
+
+// Heading level from the paragraph style ("Title", "Heading1".."Heading6").
+function headingLevel(p) {
+  const style = p.getElementsByTagNameNS(W, "pStyle")[0]?.getAttributeNS(W, "val") || "";
+  if (/^title$/i.test(style)) return 1;
+  const m = style.match(/^heading\s*([1-6])$/i);
+  return m ? Number(m[1]) : 0;
+}
+
+function isListItem(p) {
+  return p.getElementsByTagNameNS(W, "numPr").length > 0;
+}
+
+function tableRows(tbl) {
+  return children(tbl, "tr").map((tr) =>
+    children(tr, "tc").map((tc) => children(tc, "p").map(paragraphText).join(" "))
+  );
+}
+
+// Extracts the body of a Word (.docx) document as text: one paragraph per
+// block, headings as "#", list items as "-" and tables as Markdown.
+export async function extractDocx(file) {
+  const zip = unzipSync(new Uint8Array(await file.arrayBuffer()), {
+    filter: (f) => f.name === "word/document.xml",
+  });
+  const xml = zip["word/document.xml"];
+  if (!xml) throw new Error("Not a valid .docx file (word/document.xml is missing).");
+
+  const dom = new DOMParser().parseFromString(strFromU8(xml), "application/xml");
+  const body = dom.getElementsByTagNameNS(W, "body")[0];
+  if (!body) return "";
+
+  const blocks = [];
+  for (const el of body.childNodes) {
+    if (el.namespaceURI !== W) continue;
+    if (el.localName === "p") {
+      const text = paragraphText(el);
+      if (!text) continue;
+      const level = headingLevel(el);
+      blocks.push(level ? `${"#".repeat(level)} ${text}` : isListItem(el) ? `- ${text}` : text);
+    } else if (el.localName === "tbl") {
+      const rows = tableRows(el);
+      if (rows.length) blocks.push(toMarkdownTable(rows));
+    } else if (el.localName === "sdt") {
+      // Content controls (e.g. tables of contents) wrap ordinary paragraphs.
+      for (const p of el.getElementsByTagNameNS(W, "p")) {
+        const text = paragraphText(p);
+        if (text) blocks.push(text);
+      }
+    }
+  }
+  return blocks.join("\n\n");
+}
@@ -0,0 +1,37 @@
+import { unzipSync, strFromU8 } from "fflate";
+import { htmlToText } from "./extractHtml.js";
+
+function parseXml(bytes) {
+  return new DOMParser().parseFromString(strFromU8(bytes), "application/xml");
+}
+
+// Resolves `href` relative to the folder of `base` inside the archive.
+function resolve(base, href) {
+  const dir = base.slice(0, base.lastIndexOf("/") + 1);
+  return decodeURIComponent(new URL(href, `file:///${dir}`).pathname.slice(1));
+}
+
+// Extracts an EPUB book as text, chapter by chapter in reading (spine) order.
+export async function extractEpub(file) {
+  const zip = unzipSync(new Uint8Array(await file.arrayBuffer()));
+
+  const container = zip["META-INF/container.xml"];
+  if (!container) throw new Error("Not a valid .epub file (META-INF/container.xml is missing).");
+  const opfPath = parseXml(container).getElementsByTagName("rootfile")[0]?.getAttribute("full-path");
+  if (!opfPath || !zip[opfPath]) throw new Error("Not a valid .epub file (package document is missing).");
+
+  const opf = parseXml(zip[opfPath]);
+  const manifest = new Map(
+    Array.from(opf.getElementsByTagName("item")).map((item) => [
+      item.getAttribute("id"),
+      resolve(opfPath, item.getAttribute("href")),
+    ])
+  );
+
+  return Array.from(opf.getElementsByTagName("itemref"))
+    .map((ref) => manifest.get(ref.getAttribute("idref")))
+    .filter((path) => path && zip[path])
+    .map((path) => htmlToText(strFromU8(zip[path]), { stripBoilerplate: false }))
+    .filter(Boolean)
+    .join("\n\n");
+}
@@ -0,0 +1,76 @@
+import { toMarkdownTable } from "./markdownTable.js";
+
+// Elements that never hold readable text.
+const NON_CONTENT = "script, style, noscript, template, iframe, svg, canvas, [hidden]";
+
+// Page furniture around the content of a web page.
+const BOILERPLATE = [
+  "nav", "header", "footer", "aside", "form", "button", "select",
+  "[role=navigation]", "[role=banner]", "[role=contentinfo]", "[role=complementary]",
+  "[aria-hidden=true]",
+].join(",");
+
+const BLOCKS = new Set([
+  "ADDRESS", "ARTICLE", "BLOCKQUOTE", "DD", "DETAILS", "DIV", "DL", "DT", "FIGCAPTION",
+  "FIGURE", "H1", "H2", "H3", "H4", "H5", "H6", "HR", "LI", "MAIN", "OL", "P", "PRE",
+  "SECTION", "SUMMARY", "TABLE", "UL", "BODY",
+]);
+
+// Converts an HTML document to readable text: one paragraph per block,
+// headings as "#", list items as "-" and tables as Markdown. Navigation,
+// headers, footers and sidebars are stripped unless `stripBoilerplate` is
+// false (e.g. for EPUB chapters, which have no page furniture).
+export function htmlToText(html, { stripBoilerplate = true } = {}) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  doc.querySelectorAll(NON_CONTENT).forEach((el) => el.remove());
+  if (stripBoilerplate) doc.querySelectorAll(BOILERPLATE).forEach((el) => el.remove());
+  const root = (stripBoilerplate && doc.querySelector("main, article, [role=main]")) || doc.body;
+  if (!root) return "";
+
+  const blocks = [];
+  let inline = "";
+  const flush = () => {
+    const text = inline.replace(/[ \t\r\f\v]+/g, " ").replace(/ *\n */g, "\n").trim();
+    if (text) blocks.push(text);
+    inline = "";
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      inline += node.nodeValue.replace(/\s+/g, " ");
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    const tag = node.tagName;
+
+    if (tag === "BR") {
+      inline += "\n";
+      return;
+    }
+    if (!BLOCKS.has(tag)) {
+      node.childNodes.forEach(walk);
+      return;
+    }
+
+    flush();
+    if (/^H[1-6]$/.test(tag)) {
+      const text = node.textContent.replace(/\s+/g, " ").trim();
+      if (text) blocks.push(`${"#".repeat(Number(tag[1]))} ${text}`);
+    } else if (tag === "TABLE") {
+      const rows = Array.from(node.querySelectorAll("tr")).map((tr) =>
+        Array.from(tr.children).map((cell) => cell.textContent)
+      );
+      if (rows.length) blocks.push(toMarkdownTable(rows));
+    } else if (tag === "PRE") {
+      if (node.textContent.trim()) blocks.push(node.textContent.replace(/\s+$/, ""));
+    } else {
+      if (tag === "LI") inline += "- ";
+      node.childNodes.forEach(walk);
+      flush();
+    }
+  };
+
+  walk(root);
+  flush();
+  return blocks.join("\n\n");
+}
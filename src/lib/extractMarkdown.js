@@ -0,0 +1,20 @@
+// Turns Markdown into plain readable text. Headings, lists and tables are
+// kept as they are (they read fine as text); front matter, HTML comments,
+// link targets, images and inline emphasis markers are removed.
+export function markdownToText(md) {
+  return md
+    .replace(/^\uFEFF/, "")
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/^ {0,3}(```|~~~).*$/gm, "")
+    .replace(/^ {0,3}\[[^\]]+\]:\s+\S+.*$/gm, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+    .replace(/<\/?[a-z][^>]*>/gi, "")
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "$2")
+    .replace(/(^|[^\w*])([*_])(?=\S)(.+?)(?<=\S)\2(?![\w*])/g, "$1$3")
+    .replace(/`([^`\n]+)`/g, "$1")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
@@ -1,18 +1,122 @@
-import { GlobalWorkerOptions, getDocument } from "pdfjs-dist";
-import workerSrc from "pdfjs-dist/build/pdf.worker.min.mjs?url"; 
+import { getDocument, documentOptions } from "#pdfjs";
+import { ocrImage } from "./ocrImage.js";
+import { detectLanguage } from "./languages.js";
+import { mapLimit } from "./concurrency.js";
+import { config } from "./config.js";
+import { readTextLayer, layoutPages } from "./pdfLayout.js";
 
-GlobalWorkerOptions.workerSrc = workerSrc;
+// Pages with fewer non-whitespace characters than this are treated as scans
+// without a usable text layer and sent through OCR instead.
+const MIN_TEXT_CHARS = 20;
+// Render scale for OCR; ~2x the PDF's 72dpi gives Tesseract enough detail.
+const OCR_SCALE = 2;
 
-export async function extractPdfText(file) {
+// Renders a page onto a canvas from pdf.js's own factory, which makes a DOM
+// canvas in the browser and an @napi-rs/canvas one under Node. Returns the
+// factory's {canvas, context}; pass it to `pdf.canvasFactory.destroy` after use.
+async function renderPage(pdf, page) {
+  const viewport = page.getViewport({ scale: OCR_SCALE });
+  const target = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  await page.render({ canvasContext: target.context, viewport }).promise;
+  return target;
+}
+
+// Returns {pages, lang}: each page as {text, ocr}, in page order (index 0 is
+// page 1), where `text` is Markdown rebuilt from the text layer's layout (see
+// pdfLayout.js) and `ocr` is true for pages whose text came from OCR instead;
+// and the Tesseract language used for OCR, if any.
+// `lang` is passed to ocrImage; with "auto", the language is detected once
+// (from the whole text layer, or a probe OCR pass on the first scanned page)
+// and reused. Pages are read, and scanned pages OCR'd, `concurrency` at a
+// time. `onProgress` receives {stage, label, value} updates; aborting
+// `signal` stops starting new pages and cancels OCR in progress.
+export async function extractPdfText(
+  file,
+  { lang = "eng", concurrency = config.extraction.concurrency, signal, onProgress } = {}
+) {
   const buf = await file.arrayBuffer();
-  const pdf = await getDocument({ data: buf }).promise;
-
-  const chunks = [];
-  for (let p = 1; p <= pdf.numPages; p++) {
-    const page = await pdf.getPage(p);
-    const content = await page.getTextContent();
-    const text = content.items.map((it) => it.str).join(" ");
-    chunks.push(text);
+  signal?.throwIfAborted();
+  const task = getDocument({ data: buf, ...documentOptions });
+  try {
+    return await readPages(await task.promise, { lang, concurrency, signal, onProgress });
+  } finally {
+    await task.destroy();
+  }
+}
+
+async function readPages(pdf, { lang, concurrency, signal, onProgress }) {
+  const total = pdf.numPages;
+  const numbers = Array.from({ length: total }, (_, i) => i + 1);
+
+  let read = 0;
+  const layers = await mapLimit(
+    numbers,
+    concurrency,
+    async (p) => {
+      const page = await pdf.getPage(p);
+      const layer = readTextLayer(await page.getTextContent(), page.view);
+      read++;
+      onProgress?.({ stage: "extract", label: `Read ${read} of ${total} pages`, value: read / total });
+      return layer;
+    },
+    { signal }
+  );
+  // Layout needs every page at once, to spot repeating headers and footers.
+  const textLayers = layoutPages(layers);
+
+  const pages = textLayers.map((text) => ({ text, ocr: false }));
+  const scanned = numbers.filter((p) => textLayers[p - 1].replace(/\s/g, "").length < MIN_TEXT_CHARS);
+  if (!scanned.length) return { pages, lang: null };
+
+  if (lang === "auto") lang = detectLanguage(textLayers.join(" ")) || "auto";
+
+  // Per-page OCR progress, summed into one figure for all scanned pages.
+  const fractions = new Map();
+  const report = () => {
+    const done = [...fractions.values()].reduce((a, b) => a + b, 0);
+    onProgress?.({
+      stage: "ocr",
+      label: `Running OCR on ${scanned.length} scanned ${scanned.length === 1 ? "page" : "pages"} (${Math.round((done / scanned.length) * 100)}%)`,
+      value: done / scanned.length,
+    });
+  };
+
+  const ocrPage = async (p) => {
+    const target = await renderPage(pdf, await pdf.getPage(p));
+    try {
+      const result = await ocrImage(target.canvas, lang, {
+        signal,
+        onProgress: (fraction) => {
+          fractions.set(p, fraction);
+          report();
+        },
+      });
+      fractions.set(p, 1);
+      report();
+      return result;
+    } finally {
+      pdf.canvasFactory.destroy(target); // release the bitmap
+    }
+  };
+
+  // Settle an auto-detected language on the first scanned page so the other
+  // pages do not each run a probe pass.
+  const results = new Map();
+  let rest = scanned;
+  if (lang === "auto") {
+    const first = await ocrPage(scanned[0]);
+    results.set(scanned[0], first);
+    lang = first.lang;
+    rest = scanned.slice(1);
+  }
+  const texts = await mapLimit(rest, concurrency, ocrPage, { signal });
+  rest.forEach((p, i) => results.set(p, texts[i]));
+
+  for (const [p, { text: ocrText }] of results) {
+    const text = textLayers[p - 1];
+    // Keep whatever the text layer had if OCR finds nothing better.
+    if (ocrText.trim().length > text.trim().length) pages[p - 1] = { text: ocrText, ocr: true };
   }
-  return chunks.join("\n\n");
+  const usedOcr = pages.some((pg) => pg.ocr);
+  return { pages, lang: usedOcr ? lang : null };
 }
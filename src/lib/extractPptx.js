@@ -0,0 +1,59 @@
+import { unzipSync, strFromU8 } from "fflate";
+
+const A = "http://schemas.openxmlformats.org/drawingml/2006/main";
+const P = "http://schemas.openxmlformats.org/presentationml/2006/main";
+const R = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+function parseXml(bytes) {
+  return new DOMParser().parseFromString(strFromU8(bytes), "application/xml");
+}
+
+// Relationship id -> target path (resolved against the part's folder).
+function relationships(zip, partPath) {
+  const dir = partPath.slice(0, partPath.lastIndexOf("/") + 1);
+  const relsPath = `${dir}_rels/${partPath.slice(dir.length)}.rels`;
+  const rels = new Map();
+  if (!zip[relsPath]) return rels;
+  for (const rel of parseXml(zip[relsPath]).getElementsByTagName("Relationship")) {
+    const target = new URL(rel.getAttribute("Target"), `file:///${dir}`).pathname.slice(1);
+    rels.set(rel.getAttribute("Id"), { target, type: rel.getAttribute("Type") || "" });
+  }
+  return rels;
+}
+
+function slideText(dom) {
+  return Array.from(dom.getElementsByTagNameNS(A, "p"))
+    .map((p) =>
+      Array.from(p.getElementsByTagNameNS(A, "*"))
+        .map((n) => (n.localName === "t" ? n.textContent : n.localName === "br" ? "\n" : ""))
+        .join("")
+        .trim()
+    )
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Extracts a PowerPoint (.pptx) deck as one text per slide, in presentation
+// order, with the speaker notes appended under "Notes:".
+export async function extractPptx(file) {
+  const zip = unzipSync(new Uint8Array(await file.arrayBuffer()), {
+    filter: (f) => f.name.startsWith("ppt/") && /\.(xml|rels)$/.test(f.name),
+  });
+  if (!zip["ppt/presentation.xml"]) throw new Error("Not a valid .pptx file (ppt/presentation.xml is missing).");
+
+  const presentation = parseXml(zip["ppt/presentation.xml"]);
+  const presentationRels = relationships(zip, "ppt/presentation.xml");
+  const slidePaths = Array.from(presentation.getElementsByTagNameNS(P, "sldId"))
+    .map((el) => presentationRels.get(el.getAttributeNS(R, "id"))?.target)
+    .filter((path) => path && zip[path]);
+
+  return slidePaths.map((path) => {
+    const text = slideText(parseXml(zip[path]));
+    const notesPath = [...relationships(zip, path).values()].find((r) => r.type.endsWith("/notesSlide"))?.target;
+    // Notes slides repeat the slide number placeholder; ignore bare numbers.
+    const notes = notesPath && zip[notesPath]
+      ? slideText(parseXml(zip[notesPath])).replace(/^\d+$/gm, "").trim()
+      : "";
+    return notes ? `${text}\n\nNotes: ${notes}` : text;
+  });
+}
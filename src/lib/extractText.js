@@ -0,0 +1,176 @@
+import { unzipSync, strFromU8 } from "fflate";
+import { extractPdfText } from "./extractPdfText.js";
+import { ocrImage } from "./ocrImage.js";
+import { extractDocx } from "./extractDocx.js";
+import { extractPptx } from "./extractPptx.js";
+import { extractEpub } from "./extractEpub.js";
+import { htmlToText } from "./extractHtml.js";
+import { markdownToText } from "./extractMarkdown.js";
+import { csvToText } from "./extractCsv.js";
+import { pagedDocument, slideDocument, paragraphDocument, documentText } from "./document.js";
+import { detectLanguage } from "./languages.js";
+
+const EXTENSIONS = {
+  pdf: "pdf",
+  docx: "docx",
+  pptx: "pptx",
+  epub: "epub",
+  html: "html",
+  htm: "html",
+  xhtml: "html",
+  md: "markdown",
+  markdown: "markdown",
+  csv: "csv",
+  tsv: "tsv",
+  txt: "text",
+  png: "image",
+  jpg: "image",
+  jpeg: "image",
+  gif: "image",
+  bmp: "image",
+  webp: "image",
+  tif: "image",
+  tiff: "image",
+};
+
+const MIME_TYPES = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": "pptx",
+  "application/epub+zip": "epub",
+  "text/html": "html",
+  "application/xhtml+xml": "html",
+  "text/markdown": "markdown",
+  "text/csv": "csv",
+  "text/tab-separated-values": "tsv",
+};
+
+// File name extensions we can read, without the dot; the CLI uses them to
+// pick files out of folders and to check its inputs.
+export const FILE_EXTENSIONS = Object.keys(EXTENSIONS);
+
+// Value for the file input's `accept` attribute.
+export const ACCEPTED_FILES = [
+  ...Object.keys(EXTENSIONS).map((ext) => `.${ext}`),
+  ...Object.keys(MIME_TYPES),
+  "image/*",
+  "text/*",
+].join(",");
+
+// Format from the file name, then the MIME type. Returns null when neither
+// says anything useful (e.g. no extension and an empty or generic type).
+export function guessFormat(file) {
+  const ext = file.name?.match(/\.([^.]+)$/)?.[1]?.toLowerCase();
+  if (ext && EXTENSIONS[ext]) return EXTENSIONS[ext];
+  if (MIME_TYPES[file.type]) return MIME_TYPES[file.type];
+  if (file.type?.startsWith("image/")) return "image";
+  return null;
+}
+
+function startsWith(bytes, signature) {
+  return signature.every((b, i) => b === null || bytes[i] === b);
+}
+
+// Sniffs the format from the file's first bytes.
+async function sniffFormat(file) {
+  const head = new Uint8Array(await file.slice(0, 512).arrayBuffer());
+  if (startsWith(head, [0x25, 0x50, 0x44, 0x46, 0x2d])) return "pdf"; // %PDF-
+  if (
+    startsWith(head, [0x89, 0x50, 0x4e, 0x47]) || // PNG
+    startsWith(head, [0xff, 0xd8, 0xff]) || // JPEG
+    startsWith(head, [0x47, 0x49, 0x46, 0x38]) || // GIF8
+    startsWith(head, [0x42, 0x4d]) || // BMP
+    startsWith(head, [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]) || // RIFF....WEBP
+    startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || // TIFF (little-endian)
+    startsWith(head, [0x4d, 0x4d, 0x00, 0x2a]) // TIFF (big-endian)
+  ) {
+    return "image";
+  }
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return sniffZip(file);
+
+  const text = new TextDecoder().decode(head).trimStart().toLowerCase();
+  if (text.startsWith("<!doctype html") || text.startsWith("<html")) return "html";
+  return "text";
+}
+
+// Office documents and EPUBs are all zip archives; tell them apart by the
+// entries they contain.
+async function sniffZip(file) {
+  const names = new Set();
+  const zip = unzipSync(new Uint8Array(await file.arrayBuffer()), {
+    filter: (f) => {
+      names.add(f.name);
+      return f.name === "mimetype";
+    },
+  });
+  if (zip.mimetype && strFromU8(zip.mimetype).trim() === "application/epub+zip") return "epub";
+  if (names.has("word/document.xml")) return "docx";
+  if (names.has("ppt/presentation.xml")) return "pptx";
+  return "text";
+}
+
+// Format by extension or MIME type, falling back to sniffing the content.
+export async function detectFormat(file) {
+  return guessFormat(file) || sniffFormat(file);
+}
+
+// Extracts a file as a document (see document.js): split into pages (PDF),
+// slides (PPTX) or paragraphs (everything else) so key points can cite where
+// they came from. `lang` picks the OCR model ("auto" detects it); the
+// document's language ends up in `doc.language` and its format in `doc.format`.
+// `onProgress` receives {stage, label, value} updates, where `value` is a
+// 0-1 fraction or null; aborting `signal` stops PDF reading and OCR.
+export async function extractTextFromFile(file, lang = "auto", { signal, onProgress } = {}) {
+  const format = await detectFormat(file);
+  signal?.throwIfAborted();
+  onProgress?.({ stage: "extract", label: `Extracting text (${format})`, value: null });
+  let doc;
+  let ocrLang = null;
+
+  switch (format) {
+    case "pdf": {
+      const { pages, lang: used } = await extractPdfText(file, { lang, signal, onProgress });
+      doc = pagedDocument(pages);
+      ocrLang = used;
+      break;
+    }
+    case "image": {
+      const { text, lang: used } = await ocrImage(file, lang, {
+        signal,
+        onProgress: (fraction) =>
+          onProgress?.({ stage: "ocr", label: `Running OCR (${Math.round(fraction * 100)}%)`, value: fraction }),
+      });
+      doc = paragraphDocument(text);
+      ocrLang = used;
+      break;
+    }
+    case "docx":
+      doc = paragraphDocument(await extractDocx(file));
+      break;
+    case "pptx":
+      doc = slideDocument(await extractPptx(file));
+      break;
+    case "epub":
+      doc = paragraphDocument(await extractEpub(file));
+      break;
+    case "html":
+      doc = paragraphDocument(htmlToText(await file.text()));
+      break;
+    case "markdown":
+      doc = paragraphDocument(markdownToText(await file.text()));
+      break;
+    case "csv":
+      doc = paragraphDocument(csvToText(await file.text()));
+      break;
+    case "tsv":
+      doc = paragraphDocument(csvToText(await file.text(), "\t"));
+      break;
+    default:
+      doc = paragraphDocument(await file.text());
+  }
+
+  signal?.throwIfAborted();
+  doc.format = format;
+  doc.language = ocrLang || (lang === "auto" ? detectLanguage(documentText(doc)) : lang);
+  return doc;
+}
@@ -0,0 +1,238 @@
+import { stem, tokenize } from "./retrieve.js";
+
+// Summaries without a model: TextRank over the document's sentences picks the
+// most central ones, quoted as they are, and key points are the best
+// sentences for the document's keywords. Nothing leaves the browser, so this
+// works offline, without a key and when the model's quota is used up.
+
+// Words of summary to aim for, in the middle of each length's target in
+// summarise.js, the largest share of the document's sentences to quote, so
+// short documents still get three different lengths, and the number of key
+// points.
+const BUDGETS = {
+  short: { words: 100, share: 0.2, keyPoints: 3 },
+  medium: { words: 200, share: 0.35, keyPoints: 5 },
+  long: { words: 375, share: 0.55, keyPoints: 7 },
+};
+const KEYWORDS = 10;
+// Sentences outside these bounds are headings, captions or run-on text from
+// a broken layout rather than prose worth quoting.
+const MIN_TERMS = 4;
+const MAX_WORDS = 80;
+// Table rows are terser; two words besides figures are enough.
+const MIN_ROW_TERMS = 2;
+// Long documents are sampled evenly down to this many sentences, which keeps
+// the graph small enough to rank in a moment.
+const MAX_SENTENCES = 3000;
+const DAMPING = 0.85;
+// Sentences sharing more than this share of their words say the same thing.
+const REDUNDANT = 0.5;
+
+function splitSentences(text, language) {
+  if (typeof Intl.Segmenter === "function") {
+    const segmenter = new Intl.Segmenter(language || undefined, { granularity: "sentence" });
+    return [...segmenter.segment(text)].map((s) => s.segment);
+  }
+  return text.split(/(?<=[.!?。！？])\s+/);
+}
+
+// Prose sentences of the document as {n, text}, where `n` is the segment
+// they came from. Table rows and headings that the extractors render as
+// Markdown are skipped, and list markers dropped.
+function proseOf(doc) {
+  const out = [];
+  for (const segment of doc.segments) {
+    for (const line of segment.text.split(/\n\s*\n|\n(?=\s*(?:[-*•]|\d+[.)]|#|\|))/)) {
+      const paragraph = line.trim();
+      if (!paragraph || /^(?:#|\|)/.test(paragraph)) continue;
+      const prose = paragraph.replace(/^(?:[-*•]|\d+[.)])\s+/, "").replace(/\s+/g, " ");
+      for (const sentence of splitSentences(prose, doc.language)) out.push({ n: segment.n, text: sentence.trim() });
+    }
+  }
+  return out;
+}
+
+// Rows of the document's Markdown tables as {n, text, values}, where `text`
+// reads "Column: value; Column: value" and `values` is the cells alone, so
+// column names repeated in every row do not link all rows to each other.
+function rowsOf(doc) {
+  const out = [];
+  for (const segment of doc.segments) {
+    let header = null;
+    for (const line of segment.text.split("\n")) {
+      const row = line.trim();
+      if (!row.startsWith("|")) {
+        header = null;
+        continue;
+      }
+      const cells = row
+        .replace(/^\||(?<!\\)\|$/g, "")
+        .split(/(?<!\\)\|/)
+        .map((c) => c.trim().replace(/\\\|/g, "|"));
+      if (!header) header = cells;
+      else if (!cells.every((c) => /^:?-+:?$/.test(c))) {
+        const filled = cells.map((c, i) => [header[i], c]).filter(([, c]) => c);
+        out.push({
+          n: segment.n,
+          text: filled.map(([name, c]) => (name ? `${name}: ${c}` : c)).join("; "),
+          values: filled.map(([, c]) => c).join(" "),
+        });
+      }
+    }
+  }
+  return out;
+}
+
+// Candidates as {n, index, text, words, terms}, keeping those with at least
+// `minTerms` different words and no more than MAX_WORDS.
+function measure(candidates, minTerms) {
+  const out = [];
+  for (const { n, text, values = text } of candidates) {
+    const words = text.split(" ").length;
+    const terms = new Set(tokenize(values).filter((t) => !/^\p{N}+$/u.test(t)).map(stem));
+    if (terms.size < minTerms || words > MAX_WORDS) continue;
+    out.push({ n, index: out.length, text, words, terms });
+  }
+  return out;
+}
+
+// The sentences to rank: the document's prose, or for a document with none,
+// such as a spreadsheet, its table rows.
+function sentencesOf(doc) {
+  let out = measure(proseOf(doc), MIN_TERMS);
+  if (!out.length) out = measure(rowsOf(doc), MIN_ROW_TERMS);
+  if (out.length <= MAX_SENTENCES) return out;
+  const step = out.length / MAX_SENTENCES;
+  return Array.from({ length: MAX_SENTENCES }, (_, i) => ({ ...out[Math.floor(i * step)], index: i }));
+}
+
+// TextRank: sentences are linked by the words they share, normalised by
+// their lengths, and scored by PageRank over those links. Words found in
+// more than one sentence in twenty link nearly everything to everything, so
+// in longer documents they are left out.
+function rankSentences(sentences) {
+  const count = sentences.length;
+  const postings = new Map();
+  sentences.forEach((s, i) => {
+    for (const t of s.terms) {
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push(i);
+    }
+  });
+  const maxDf = Math.max(50, count / 20);
+  const shared = sentences.map(() => new Map());
+  for (const list of postings.values()) {
+    if (list.length < 2 || list.length > maxDf) continue;
+    for (let a = 0; a < list.length; a++) {
+      for (let b = a + 1; b < list.length; b++) {
+        const i = list[a];
+        const j = list[b];
+        shared[i].set(j, (shared[i].get(j) || 0) + 1);
+        shared[j].set(i, (shared[j].get(i) || 0) + 1);
+      }
+    }
+  }
+  const norm = sentences.map((s) => Math.log(Math.max(2, s.terms.size)));
+  const edges = shared.map((links, i) => [...links].map(([j, overlap]) => [j, overlap / (norm[i] + norm[j])]));
+  const totals = edges.map((links) => links.reduce((sum, [, w]) => sum + w, 0));
+
+  let scores = sentences.map(() => 1);
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const next = edges.map((links) =>
+      links.reduce((sum, [j, w]) => sum + (totals[j] ? (w / totals[j]) * scores[j] : 0), 0)
+    );
+    let change = 0;
+    for (let i = 0; i < count; i++) {
+      next[i] = 1 - DAMPING + DAMPING * next[i];
+      change = Math.max(change, Math.abs(next[i] - scores[i]));
+    }
+    scores = next;
+    if (change < 1e-4) break;
+  }
+  return scores;
+}
+
+function overlap(a, b) {
+  let both = 0;
+  for (const t of a.terms) if (b.terms.has(t)) both++;
+  return both / Math.min(a.terms.size, b.terms.size);
+}
+
+// Words that recur across the document without being everywhere, as
+// {stem, word}, best first; `word` is the form most often written.
+function keywordsOf(sentences) {
+  const df = new Map();
+  const forms = new Map();
+  for (const s of sentences) {
+    for (const t of s.terms) df.set(t, (df.get(t) || 0) + 1);
+    for (const token of tokenize(s.text)) {
+      if (token.length < 3 || /^\p{N}+$/u.test(token)) continue;
+      const counts = forms.get(stem(token)) || new Map();
+      counts.set(token, (counts.get(token) || 0) + 1);
+      forms.set(stem(token), counts);
+    }
+  }
+  const count = sentences.length;
+  return [...df]
+    .filter(([t, n]) => n >= 2 && forms.has(t) && (count < 4 || n < count))
+    .map(([t, n]) => ({ stem: t, score: n * Math.log(1 + count / n) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ stem: t }) => ({ stem: t, word: [...forms.get(t)].sort((a, b) => b[1] - a[1])[0][0] }));
+}
+
+// An extractive summary of `doc` in the summarise() result shape:
+// {summary, key_points, keywords, extractive: true}. The summary is the
+// top-ranked sentences in document order, up to the word budget and share of
+// `length`; each key point is the best remaining sentence about one of the
+// keywords, or failing that the best remaining sentence.
+// Throws when the document has neither running text nor table rows to quote.
+export function extractiveSummary(doc, { length = "medium" } = {}) {
+  const budget = BUDGETS[length] || BUDGETS.medium;
+  const sentences = sentencesOf(doc);
+  if (!sentences.length) {
+    throw new Error("The document has too little text to pick sentences from.");
+  }
+  const scores = rankSentences(sentences);
+  const ranked = [...sentences].sort((a, b) => scores[b.index] - scores[a.index] || a.index - b.index);
+
+  const maxSentences = Math.max(1, Math.round(sentences.length * budget.share));
+  const chosen = [];
+  let words = 0;
+  for (const s of ranked) {
+    if (words >= budget.words || chosen.length >= maxSentences) break;
+    if (chosen.length && words + s.words > budget.words * 1.15) continue;
+    if (chosen.some((c) => overlap(c, s) > REDUNDANT)) continue;
+    chosen.push(s);
+    words += s.words;
+  }
+  chosen.sort((a, b) => a.index - b.index);
+
+  // Key points prefer sentences the summary does not already quote, but a
+  // short document may have nothing else to offer. A document with few
+  // keywords gets the rest of its key points from the best-ranked sentences.
+  const keywords = keywordsOf(sentences);
+  const points = [];
+  const fresh = (s) => !points.some((p) => p === s || overlap(p, s) > REDUNDANT);
+  const pools = [ranked.filter((s) => !chosen.includes(s)), ranked];
+  for (const pool of pools) {
+    for (const keyword of keywords) {
+      if (points.length >= budget.keyPoints) break;
+      const best = pool.find((s) => s.terms.has(keyword.stem) && fresh(s));
+      if (best) points.push(best);
+    }
+  }
+  for (const pool of pools) {
+    for (const s of pool) {
+      if (points.length >= budget.keyPoints) break;
+      if (fresh(s)) points.push(s);
+    }
+  }
+  points.sort((a, b) => a.index - b.index);
+
+  return {
+    summary: chosen.map((s) => s.text).join(" "),
+    key_points: points.map((s) => ({ text: s.text, sources: [s.n] })),
+    keywords: keywords.slice(0, KEYWORDS).map((k) => k.word),
+    extractive: true,
+  };
+}
@@ -0,0 +1,6 @@
+// SHA-256 of a Blob/File's bytes (or a string's UTF-8 bytes) as lowercase hex.
+export async function sha256(input) {
+  const bytes = typeof input === "string" ? new TextEncoder().encode(input) : await input.arrayBuffer();
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
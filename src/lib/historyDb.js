@@ -0,0 +1,75 @@
+import { documentText } from "./document.js";
+import { withStore } from "./db.js";
+
+const STORE = "history";
+
+// A history entry records one summarisation run:
+// {id, fileName, fileSize, fileHash, length, result, doc, createdAt}
+// where `doc` is the extracted document (see document.js).
+export async function saveHistoryEntry(entry) {
+  const full = { id: crypto.randomUUID(), createdAt: Date.now(), ...entry };
+  await withStore(STORE, "readwrite", (store) => store.put(full));
+  return full;
+}
+
+// All entries, newest first.
+export async function listHistory() {
+  const entries = await withStore(STORE, "readonly", (store) => store.getAll());
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function deleteHistoryEntry(id) {
+  return withStore(STORE, "readwrite", (store) => store.delete(id));
+}
+
+export async function exportHistory() {
+  const entries = await listHistory();
+  return JSON.stringify({ format: "precis-history", version: 1, entries }, null, 2);
+}
+
+// Merges entries from an exported JSON file; entries with the same id are
+// overwritten. Resolves with the number of entries imported.
+export async function importHistory(json) {
+  const data = JSON.parse(json);
+  const entries = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(entries)) throw new Error("Not a history export file.");
+
+  const valid = entries.filter(
+    (e) => e && typeof e.id === "string" && typeof e.fileName === "string" && e.result && e.doc?.segments
+  );
+  await withStore(STORE, "readwrite", (store) => {
+    valid.forEach((e) => store.put(e));
+  });
+  return valid.length;
+}
+
+// Case-insensitive full-text search over file names, summaries, key points
+// and the extracted text. Every word of the query must match somewhere.
+// Returns [{entry, snippet}] where `snippet` shows the first match in the
+// source text, if the match was there.
+export function searchHistory(entries, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return entries.map((entry) => ({ entry, snippet: "" }));
+
+  const out = [];
+  for (const entry of entries) {
+    const source = documentText(entry.doc);
+    const haystack = [
+      entry.fileName,
+      entry.result.summary,
+      ...(entry.result.key_points || []).map((kp) => kp.text),
+      source,
+    ]
+      .join("\n")
+      .toLowerCase();
+    if (!terms.every((t) => haystack.includes(t))) continue;
+
+    const at = source.toLowerCase().indexOf(terms[0]);
+    const snippet =
+      at === -1
+        ? ""
+        : `${at > 60 ? "…" : ""}${source.slice(Math.max(0, at - 60), at + 100).replace(/\s+/g, " ")}…`;
+    out.push({ entry, snippet });
+  }
+  return out;
+}
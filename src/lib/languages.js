@@ -0,0 +1,85 @@
+// Languages offered for OCR and summary output. `code` is the Tesseract
+// traineddata name, which is also what we store in settings.
+export const LANGUAGES = [
+  { code: "eng", label: "English" },
+  { code: "deu", label: "German" },
+  { code: "fra", label: "French" },
+  { code: "spa", label: "Spanish" },
+  { code: "ita", label: "Italian" },
+  { code: "por", label: "Portuguese" },
+  { code: "nld", label: "Dutch" },
+  { code: "tur", label: "Turkish" },
+  { code: "rus", label: "Russian" },
+  { code: "ara", label: "Arabic", rtl: true },
+  { code: "urd", label: "Urdu", rtl: true },
+  { code: "fas", label: "Persian", rtl: true },
+  { code: "heb", label: "Hebrew", rtl: true },
+  { code: "hin", label: "Hindi" },
+  { code: "chi_sim", label: "Chinese (Simplified)" },
+  { code: "jpn", label: "Japanese" },
+  { code: "kor", label: "Korean" },
+];
+
+export function languageLabel(code) {
+  return LANGUAGES.find((l) => l.code === code)?.label || code;
+}
+
+export function isRtl(code) {
+  return !!LANGUAGES.find((l) => l.code === code)?.rtl;
+}
+
+// Frequent short words used to tell Latin-script languages apart.
+const STOPWORDS = {
+  eng: ["the", "and", "of", "to", "is", "in", "that", "for", "with", "this", "are", "be"],
+  deu: ["der", "die", "und", "das", "ist", "nicht", "mit", "den", "ein", "eine", "zu", "auf"],
+  fra: ["le", "la", "les", "et", "des", "est", "une", "pour", "dans", "que", "du", "pas"],
+  spa: ["el", "la", "los", "las", "y", "que", "es", "por", "para", "una", "con", "del"],
+  ita: ["il", "di", "che", "è", "per", "una", "sono", "della", "con", "non", "gli", "del"],
+  por: ["o", "os", "que", "é", "não", "uma", "para", "com", "do", "da", "em", "dos"],
+  nld: ["de", "het", "een", "en", "van", "is", "niet", "dat", "op", "voor", "met", "zijn"],
+  tur: ["ve", "bir", "bu", "için", "ile", "da", "de", "olarak", "değil", "çok", "daha", "gibi"],
+};
+
+const SCRIPTS = [
+  { re: /[\u0590-\u05FF]/g, code: "heb" },
+  { re: /[\u0600-\u06FF\u0750-\u077F]/g, code: "arabic" },
+  { re: /[\u0400-\u04FF]/g, code: "rus" },
+  { re: /[\u0900-\u097F]/g, code: "hin" },
+  { re: /[\u3040-\u30FF]/g, code: "jpn" },
+  { re: /[\uAC00-\uD7AF]/g, code: "kor" },
+  { re: /[\u4E00-\u9FFF]/g, code: "chi_sim" },
+  { re: /[A-Za-z\u00C0-\u024F]/g, code: "latin" },
+];
+
+// Guesses the language of `text` from its script and, for Latin and Arabic
+// script, from characteristic words and letters. Returns a code from
+// LANGUAGES, or null when there is too little text to tell.
+export function detectLanguage(text) {
+  const sample = text.slice(0, 20000);
+  const counts = SCRIPTS.map(({ re, code }) => ({ code, n: (sample.match(re) || []).length }));
+  // Kana is a much stronger signal than Han, which Japanese shares with Chinese.
+  const jpn = counts.find((c) => c.code === "jpn");
+  jpn.n *= 3;
+  const best = counts.sort((a, b) => b.n - a.n)[0];
+  if (best.n < 20) return null;
+
+  if (best.code === "arabic") {
+    // Letters used in Urdu (ٹ ڈ ڑ ں ے) and in Persian but not Arabic (پ چ ژ گ).
+    if (/[\u0679\u0688\u0691\u06BA\u06D2]/.test(sample)) return "urd";
+    if (/[\u067E\u0686\u0698\u06AF]/.test(sample)) return "fas";
+    return "ara";
+  }
+  if (best.code !== "latin") return best.code;
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map((code) => [code, 0]));
+  const lookup = new Map();
+  for (const [code, list] of Object.entries(STOPWORDS)) {
+    for (const w of list) lookup.set(w, [...(lookup.get(w) || []), code]);
+  }
+  for (const w of words) {
+    for (const code of lookup.get(w) || []) scores[code]++;
+  }
+  const [code, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return score >= 3 ? code : "eng";
+}
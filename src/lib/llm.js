@@ -0,0 +1,130 @@
+import { parsePartialJson } from "./partialJson.js";
+import { languageLabel } from "./languages.js";
+import { validate } from "./schema.js";
+import { MalformedOutputError } from "./errors.js";
+
+// Hard cap on document text per prompt, even for very large context windows,
+// to keep latency and cost predictable.
+const MAX_PROMPT_CHARS = 180000;
+// Tokens kept free for the instructions and the model's reply.
+const RESERVED_TOKENS = 1500;
+// Conservative characters-per-token estimate for sizing chunks.
+const CHARS_PER_TOKEN = 3;
+
+// Largest slice of document text we put into a single prompt for a provider.
+export function inputBudget(provider) {
+  const fromContext = (provider.contextTokens - RESERVED_TOKENS) * CHARS_PER_TOKEN;
+  return Math.max(2000, Math.min(MAX_PROMPT_CHARS, fromContext));
+}
+
+// Text of a model call, streamed when `onPartial` is given and supported,
+// reporting each parseable prefix as it arrives.
+async function callModel(provider, request, onPartial) {
+  if (!onPartial || !provider.stream) return (await provider.generate(request)) || "";
+  let raw = "";
+  for await (const delta of provider.stream(request)) {
+    raw += delta;
+    const partial = parsePartialJson(raw);
+    if (partial) onPartial(partial);
+  }
+  return raw;
+}
+
+// Removes commas directly before a closing bracket, outside of strings.
+function dropTrailingCommas(text) {
+  const closer = /\s*[}\]]/y;
+  let out = "";
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === ",") {
+      closer.lastIndex = i + 1;
+      if (closer.test(text)) continue;
+    }
+    out += ch;
+  }
+  return out;
+}
+
+// Candidate values for a reply, most faithful first: the reply as is, then
+// with markdown fences, surrounding prose and trailing commas removed, then
+// with a truncated tail closed off.
+function readReply(raw) {
+  const unfenced = raw.replace(/^\s*```(?:json)?\s*/i, "").replace(/\s*```\s*$/, "");
+  const start = unfenced.indexOf("{");
+  const tail = start === -1 ? "" : dropTrailingCommas(unfenced.slice(start));
+  const body = tail.slice(0, tail.lastIndexOf("}") + 1);
+  const attempts = [() => JSON.parse(raw), () => JSON.parse(body), () => parsePartialJson(tail)];
+  const values = [];
+  for (const attempt of attempts) {
+    try {
+      const value = attempt();
+      if (value !== null && value !== undefined) values.push(value);
+    } catch {
+      // try the next repair
+    }
+  }
+  return values;
+}
+
+// First candidate that matches `schema`, after the caller's `repair`, as
+// {value} — or {errors} describing why the best one did not.
+function checkReply(raw, schema, repair) {
+  const values = readReply(raw);
+  if (!values.length) return { errors: ["the reply is not a JSON object"] };
+  let firstErrors = null;
+  for (const value of values) {
+    for (const candidate of repair ? [value, repair(value)] : [value]) {
+      const errors = schema ? validate(schema, candidate) : [];
+      if (!errors.length) return { value: candidate };
+      firstErrors ||= errors;
+    }
+  }
+  return { errors: firstErrors };
+}
+
+function retryPrompt(prompt, errors) {
+  return `${prompt}
+Your previous reply was rejected: ${errors.slice(0, 5).join("; ")}.
+Reply again with ONLY the JSON object described above. No markdown fences, no commentary.
+`;
+}
+
+// Calls the model for a JSON reply matching `schema` (see schema.js), which
+// providers also pass on to their API's structured output where supported.
+// A reply that does not validate is first repaired locally (markdown fences,
+// trailing commas, truncation, then the caller's `repair(value)` for known
+// near misses), then the call is retried once with the validation errors in
+// the prompt; after that a MalformedOutputError is thrown. With `onPartial`,
+// the reply is streamed and each parseable prefix is reported as it arrives.
+// Aborting `signal` cancels the request in flight.
+export async function generateJson(provider, prompt, { schema, repair, onPartial, signal } = {}) {
+  const request = { prompt, json: provider.structuredOutput, schema, signal };
+  const raw = await callModel(provider, request, onPartial);
+  const first = checkReply(raw, schema, repair);
+  if (!first.errors) return first.value;
+  signal?.throwIfAborted();
+
+  const retryRaw = await callModel(provider, { ...request, prompt: retryPrompt(prompt, first.errors) }, onPartial);
+  const second = checkReply(retryRaw, schema, repair);
+  if (!second.errors) return second.value;
+  throw new MalformedOutputError(
+    `${provider.model} did not return the expected JSON, even after a retry (${second.errors.slice(0, 3).join("; ")}).`,
+    { errors: second.errors, raw: retryRaw }
+  );
+}
+
+// Prompt rule for the output language; without a code the model answers in
+// the document's language.
+export function languageRule(language) {
+  return language
+    ? `write the summary and key points in ${languageLabel(language)}`
+    : "write in the same language as the document";
+}
@@ -0,0 +1,9 @@
+// Renders rows of cell strings as a Markdown table, using the first row as
+// the header. Ragged rows are padded so every row has the same cell count.
+export function toMarkdownTable(rows) {
+  if (!rows.length) return "";
+  const width = Math.max(...rows.map((r) => r.length));
+  const cell = (c) => String(c ?? "").replace(/\s+/g, " ").replace(/\|/g, "\\|").trim();
+  const line = (r) => `| ${Array.from({ length: width }, (_, i) => cell(r[i])).join(" | ")} |`;
+  return [line(rows[0]), `|${" --- |".repeat(width)}`, ...rows.slice(1).map(line)].join("\n");
+}
@@ -0,0 +1,191 @@
+// Summary modes. Every mode returns the usual {summary, key_points} so
+// citations, chat, history and export keep working; a mode may add its own
+// fields (`fields`: schema and an example value for the prompt) and turns
+// them into display sections with `sections(result)`. A `local` mode is
+// computed without a model.
+//
+// A section is {title, text} or {title, items: [{text, detail, sources}]}.
+
+const SOURCES = { type: "array", items: { type: "integer" } };
+const STRINGS = { type: "array", items: { type: "string" } };
+
+function cited(properties, required) {
+  return {
+    type: "array",
+    items: {
+      type: "object",
+      properties: { ...properties, sources: SOURCES },
+      required: [...required, "sources"],
+    },
+  };
+}
+
+// Streamed results may hold half-written fields, so sections only trust
+// values of the right type.
+const list = (value) => (Array.isArray(value) ? value : []);
+const textSection = (title, text) => (typeof text === "string" && text ? [{ title, text }] : []);
+const listSection = (title, items) => (items.length ? [{ title, items }] : []);
+
+export const MODES = [
+  {
+    id: "standard",
+    label: "Standard summary",
+    role: "You are a document summariser.",
+    rules: ["concise & neutral", "keep names, numbers, definitions"],
+  },
+  {
+    id: "brief",
+    label: "Executive brief",
+    role: "You are writing an executive brief of a document for a busy decision maker.",
+    rules: [
+      '"summary": the bottom line first, then the context needed to act on it',
+      '"key_points": the facts, figures and decisions that matter most',
+      '"recommendation": the next step the document supports, or null if it supports none',
+      '"risks": risks, open questions and dependencies; [] if none',
+      "plain business language, no jargon",
+    ],
+    fields: {
+      recommendation: { schema: { type: ["string", "null"] }, example: "..." },
+      risks: { schema: STRINGS, example: ["..."] },
+    },
+    sections: (r) => [
+      ...textSection("Recommendation", r.recommendation),
+      ...listSection("Risks & open questions", list(r.risks).map((text) => ({ text }))),
+    ],
+  },
+  {
+    id: "minutes",
+    label: "Meeting minutes",
+    role: "You are taking the minutes of a meeting from its transcript or notes.",
+    rules: [
+      '"summary": purpose of the meeting and its outcome',
+      '"key_points": the main discussion points',
+      '"attendees": people present, if stated; [] otherwise',
+      '"decisions": decisions that were actually made',
+      '"action_items": every agreed task with its owner and due date; use null when the owner or date is not stated',
+      "never invent owners or dates",
+    ],
+    fields: {
+      attendees: { schema: STRINGS, example: ["..."] },
+      decisions: { schema: STRINGS, example: ["..."] },
+      action_items: {
+        schema: cited(
+          { task: { type: "string" }, owner: { type: ["string", "null"] }, due: { type: ["string", "null"] } },
+          ["task", "owner", "due"]
+        ),
+        example: [{ task: "...", owner: "...", due: null, sources: [1] }],
+      },
+    },
+    sections: (r) => [
+      ...textSection("Attendees", list(r.attendees).join(", ")),
+      ...listSection("Decisions", list(r.decisions).map((text) => ({ text }))),
+      ...listSection(
+        "Action items",
+        list(r.action_items).map((a) => ({
+          text: a.task,
+          detail: [`Owner: ${a.owner || "unassigned"}`, a.due && `Due: ${a.due}`].filter(Boolean).join(" · "),
+          sources: a.sources,
+        }))
+      ),
+    ],
+  },
+  {
+    id: "abstract",
+    label: "Academic abstract",
+    role: "You are writing a structured academic abstract of a paper or report.",
+    rules: [
+      '"summary": the abstract itself: question, approach and main finding',
+      '"key_points": the contributions',
+      '"methods": data, participants and methods used',
+      '"results": the main results with their figures',
+      '"limitations": limitations the authors state or that are evident; null if none',
+      "formal academic register",
+    ],
+    fields: {
+      methods: { schema: { type: "string" }, example: "..." },
+      results: { schema: { type: "string" }, example: "..." },
+      limitations: { schema: { type: ["string", "null"] }, example: "..." },
+    },
+    sections: (r) => [
+      ...textSection("Methods", r.methods),
+      ...textSection("Results", r.results),
+      ...textSection("Limitations", r.limitations),
+    ],
+  },
+  {
+    id: "legal",
+    label: "Legal clause digest",
+    role: "You are digesting a contract or legal document clause by clause for a non-lawyer.",
+    rules: [
+      '"summary": what the document is, its parties and its purpose',
+      '"key_points": the obligations and rights that matter most',
+      '"clauses": one entry per significant clause (term, termination, payment, liability, indemnity, confidentiality, IP, governing law, ...) that the document contains, each with a plain-language digest',
+      "quote exact figures, periods and notice requirements",
+      "do not give legal advice",
+    ],
+    fields: {
+      clauses: {
+        schema: cited({ title: { type: "string" }, digest: { type: "string" } }, ["title", "digest"]),
+        example: [{ title: "...", digest: "...", sources: [1] }],
+      },
+    },
+    sections: (r) => [
+      ...listSection(
+        "Clauses",
+        list(r.clauses).map((c) => ({ text: c.title, detail: c.digest, sources: c.sources }))
+      ),
+    ],
+  },
+  {
+    id: "tldr",
+    label: "TL;DR",
+    role: "You are writing a TL;DR of a document.",
+    target: "1-2 sentences",
+    rules: ['"key_points": at most 3', "plain words, no preamble"],
+  },
+  {
+    // Runs in the browser without a model (see extractive.js), so it has no
+    // prompt; `fields` only lists what its results carry.
+    id: "extractive",
+    label: "Extractive (offline)",
+    local: true,
+    fields: {
+      keywords: { schema: STRINGS, example: ["..."] },
+    },
+    sections: (r) => textSection("Keywords", list(r.keywords).join(", ")),
+  },
+];
+
+export function getMode(id) {
+  return MODES.find((m) => m.id === id) || MODES[0];
+}
+
+// Schema for a mode's reply: `base` (the {summary, key_points} schema) plus
+// the mode's own fields, all required.
+export function modeSchema(mode, base) {
+  const fields = mode.fields || {};
+  return {
+    ...base,
+    properties: {
+      ...base.properties,
+      ...Object.fromEntries(Object.entries(fields).map(([key, f]) => [key, f.schema])),
+    },
+    required: [...base.required, ...Object.keys(fields)],
+  };
+}
+
+// Example reply shown to the model.
+export function modeShape(mode) {
+  const fields = mode.fields || {};
+  return JSON.stringify({
+    summary: "...",
+    key_points: [{ text: "...", sources: [1] }],
+    ...Object.fromEntries(Object.entries(fields).map(([key, f]) => [key, f.example])),
+  });
+}
+
+// Display sections for a result produced in `result.mode`.
+export function modeSections(result) {
+  const mode = MODES.find((m) => m.id === result.mode);
+  return mode?.sections ? mode.sections(result) : [];
+}
@@ -1,6 +1,22 @@
-import Tesseract from "tesseract.js";
+import { detectLanguage } from "./languages.js";
+import { recognize } from "./ocrPool.js";
 
-export async function ocrImage(file) {
-  const { data } = await Tesseract.recognize(file, "eng");
-  return data.text || "";
+// Models loaded for the auto-detect pass: enough to tell Latin, Arabic and
+// Cyrillic scripts apart without downloading every language up front.
+const PROBE_LANGS = "eng+ara+rus";
+
+// `lang` is a Tesseract language code (e.g. "deu"), or "auto" to run a first
+// pass with PROBE_LANGS, detect the language from its output and OCR again
+// with the right model. Resolves to {text, lang}. Work runs on the shared
+// worker pool (see ocrPool.js); `onProgress(fraction)` reports overall
+// progress and aborting `signal` stops Tesseract.
+export async function ocrImage(image, lang = "eng", { signal, onProgress } = {}) {
+  if (lang === "auto") {
+    const probe = await recognize(image, PROBE_LANGS, { signal, onProgress: (p) => onProgress?.(p / 2) });
+    lang = detectLanguage(probe) || "eng";
+    const text = await recognize(image, lang, { signal, onProgress: (p) => onProgress?.(0.5 + p / 2) });
+    return { text, lang };
+  }
+  const text = await recognize(image, lang, { signal, onProgress });
+  return { text, lang };
 }
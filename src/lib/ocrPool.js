@@ -0,0 +1,130 @@
+import { createWorker } from "tesseract.js";
+import { config } from "./config.js";
+import { abortable } from "./abort.js";
+
+// A shared pool of Tesseract workers per language, created on first use and
+// reused across calls, so OCR never pays worker start-up and model loading
+// per image. Each language gets up to POOL_SIZE workers; jobs beyond that
+// wait for a free one.
+
+const POOL_SIZE = config.extraction.concurrency;
+
+// lang -> {slots: [{worker, busy, onProgress}], waiting: [{resolve, reject}]}
+const pools = new Map();
+
+function poolFor(lang) {
+  if (!pools.has(lang)) pools.set(lang, { slots: [], waiting: [] });
+  return pools.get(lang);
+}
+
+async function spawn(pool, lang) {
+  const slot = { worker: null, busy: true, onProgress: null };
+  pool.slots.push(slot);
+  try {
+    slot.worker = await createWorker(lang, 1, {
+      ...(config.extraction.ocrCachePath && { cachePath: config.extraction.ocrCachePath }),
+      logger: (m) => {
+        if (m.status === "recognizing text") slot.onProgress?.(m.progress);
+      },
+    });
+  } catch (err) {
+    pool.slots.splice(pool.slots.indexOf(slot), 1);
+    throw err;
+  }
+  return slot;
+}
+
+// A free worker for `lang`: an idle one, a new one while the pool has room,
+// or the next one to be released.
+function acquire(lang, signal) {
+  const pool = poolFor(lang);
+  const idle = pool.slots.find((s) => !s.busy && s.worker);
+  if (idle) {
+    idle.busy = true;
+    return Promise.resolve(idle);
+  }
+  if (pool.slots.length < POOL_SIZE) return spawn(pool, lang);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const i = pool.waiting.indexOf(waiter);
+      if (i !== -1) pool.waiting.splice(i, 1);
+      reject(signal.reason);
+    };
+    // Once the waiter is served the listener must go, or a long-lived signal
+    // keeps it and later rejects a promise that has already settled.
+    const waiter = {
+      resolve: (slot) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(slot);
+      },
+      reject: (err) => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(err);
+      },
+    };
+    pool.waiting.push(waiter);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function release(lang, slot) {
+  const pool = poolFor(lang);
+  slot.onProgress = null;
+  const next = pool.waiting.shift();
+  if (next) next.resolve(slot);
+  else slot.busy = false;
+}
+
+// Drops a worker that was stopped mid-job and starts a replacement for the
+// next waiting job, if any.
+function discard(lang, slot) {
+  const pool = poolFor(lang);
+  pool.slots.splice(pool.slots.indexOf(slot), 1);
+  slot.worker.terminate();
+  const next = pool.waiting.shift();
+  if (next) spawn(pool, lang).then(next.resolve, next.reject);
+}
+
+// Tesseract takes Blobs and canvases in the browser but only bytes under
+// Node, where PDF pages are rendered onto @napi-rs/canvas canvases.
+async function imageInput(image) {
+  if (typeof image.toBuffer === "function") return image.toBuffer("image/png");
+  if (typeof document === "undefined" && image instanceof Blob) return image.arrayBuffer();
+  return image;
+}
+
+// Recognises `image` with a pooled worker for `lang` (a Tesseract code or a
+// "+"-joined list). `onProgress` gets Tesseract's 0-1 progress; aborting
+// `signal` terminates the worker doing the job (the pool replaces it).
+export async function recognize(image, lang, { signal, onProgress } = {}) {
+  signal?.throwIfAborted();
+  const slot = await acquire(lang, signal);
+  if (signal?.aborted) {
+    release(lang, slot);
+    signal.throwIfAborted();
+  }
+
+  slot.onProgress = onProgress;
+  let stopped = false;
+  const stop = () => {
+    stopped = true;
+    discard(lang, slot);
+  };
+  signal?.addEventListener("abort", stop, { once: true });
+  try {
+    const { data } = await abortable(slot.worker.recognize(await imageInput(image)), signal);
+    return data.text || "";
+  } finally {
+    signal?.removeEventListener("abort", stop);
+    if (!stopped) release(lang, slot);
+  }
+}
+
+// Stops every pooled worker. Node keeps running while workers exist, so
+// scripts call this when they are done with OCR.
+export async function terminateWorkers() {
+  const slots = [...pools.values()].flatMap((pool) => pool.slots);
+  pools.clear();
+  await Promise.all(slots.map((slot) => slot.worker?.terminate()));
+}
@@ -0,0 +1,81 @@
+// Best-effort parse of a JSON object that is still being streamed.
+// The text is cut back to the last complete value and the open brackets are
+// closed. An unfinished string is kept when it is an object value outside any
+// array (so a long "summary" grows as it arrives), but array elements, strings
+// and objects alike, only appear once they are complete.
+// Returns null when nothing usable has arrived yet.
+export function parsePartialJson(raw) {
+  const start = raw.indexOf("{");
+  if (start === -1) return null;
+  const text = raw.slice(start);
+
+  const stack = [];
+  let expectKey = false;
+  let inString = false;
+  let stringIsValue = false;
+  let escaped = false;
+  let inLiteral = false;
+  // Last position where everything before it is a complete prefix, with the
+  // closers needed at that point.
+  let safe = null;
+
+  const mark = (pos) => {
+    if (stack.slice(0, -1).includes("[")) return;
+    safe = { pos, closers: stack.map((c) => (c === "{" ? "}" : "]")).reverse().join("") };
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') {
+        inString = false;
+        if (stringIsValue) mark(i + 1);
+      }
+      continue;
+    }
+
+    if (inLiteral && /[\s,\]}]/.test(ch)) {
+      inLiteral = false;
+      mark(i);
+    }
+
+    if (ch === '"') {
+      inString = true;
+      stringIsValue = !(stack.at(-1) === "{" && expectKey);
+    } else if (ch === "{" || ch === "[") {
+      stack.push(ch);
+      expectKey = ch === "{";
+      mark(i + 1);
+    } else if (ch === "}" || ch === "]") {
+      stack.pop();
+      expectKey = false;
+      mark(i + 1);
+      if (!stack.length) break;
+    } else if (ch === ",") {
+      expectKey = stack.at(-1) === "{";
+    } else if (ch === ":") {
+      expectKey = false;
+    } else if (!/\s/.test(ch)) {
+      inLiteral = true;
+    }
+  }
+
+  let candidate;
+  if (inString && stringIsValue && !stack.includes("[")) {
+    const body = text.replace(escaped ? /\\$/ : /\\u[0-9a-fA-F]{0,3}$/, "");
+    candidate = body + '"' + stack.map((c) => (c === "{" ? "}" : "]")).reverse().join("");
+  } else if (safe) {
+    candidate = text.slice(0, safe.pos).replace(/,\s*$/, "") + safe.closers;
+  } else {
+    return null;
+  }
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return null;
+  }
+}
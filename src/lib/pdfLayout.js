@@ -0,0 +1,302 @@
+import { toMarkdownTable } from "./markdownTable.js";
+
+// Rebuilds readable Markdown from pdf.js text layers, using the position and
+// size of each text item: lines are reassembled in reading order (column by
+// column on multi-column pages), larger text becomes headings, aligned runs
+// of cells become tables, hyphenated line breaks are joined and headers and
+// footers that repeat across pages are dropped.
+//
+// Coordinates are PDF user space: x grows to the right, y grows upwards.
+
+// Items further apart than this many font sizes on a line are separate
+// fragments (a column gutter or a table cell boundary), not words.
+const FRAGMENT_GAP = 1;
+// Items closer than this are parts of one word.
+const WORD_GAP = 0.15;
+// Share of the page height at the top and bottom searched for headers/footers.
+const MARGIN_ZONE = 0.08;
+// Text at least this much larger than the body text is a heading.
+const HEADING_RATIO = 1.2;
+// Baselines further apart than this many font sizes start a new paragraph.
+const PARAGRAPH_GAP = 1.6;
+// Column text has fragments at least this long; shorter ones are table cells.
+const MIN_COLUMN_CHARS = 20;
+
+const BULLET = /^[•◦▪●■‣∙–-]\s+/;
+
+// A page's text layer as rows of fragments, top to bottom:
+// {top, bottom, width, rows: [{y, size, fragments: [{x0, x1, size, text}]}]}.
+// `content` is the result of page.getTextContent(), `view` is page.view.
+// Returns {plain} instead when most of the text is rotated, where positions
+// say little about reading order.
+export function readTextLayer(content, view) {
+  const items = content.items.filter((it) => it.str?.trim());
+  const upright = items.filter((it) => !it.transform[1] && !it.transform[2]);
+  const chars = (list) => list.reduce((sum, it) => sum + it.str.length, 0);
+  if (chars(upright) < chars(items) / 2) return { plain: items.map((it) => it.str).join(" ") };
+
+  const placed = upright
+    .map((it) => {
+      const [, , , d, x, y] = it.transform;
+      return { text: it.str, x0: x, x1: x + it.width, y, size: Math.abs(d) || it.height || 1 };
+    })
+    .sort((a, b) => b.y - a.y || a.x0 - b.x0);
+
+  const rows = [];
+  for (const item of placed) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - item.y) <= Math.min(row.size, item.size) / 2) {
+      row.items.push(item);
+      row.size = Math.max(row.size, item.size);
+    } else {
+      rows.push({ y: item.y, size: item.size, items: [item] });
+    }
+  }
+  return {
+    top: view[3],
+    bottom: view[1],
+    width: view[2] - view[0],
+    rows: rows.map(({ y, size, items: rowItems }) => ({ y, size, fragments: fragmentsOf(rowItems) })),
+  };
+}
+
+function fragmentsOf(items) {
+  items.sort((a, b) => a.x0 - b.x0);
+  const fragments = [];
+  let current = null;
+  for (const item of items) {
+    const gap = current ? item.x0 - current.x1 : Infinity;
+    const size = current ? Math.max(current.size, item.size) : item.size;
+    if (gap > FRAGMENT_GAP * size) {
+      current = { ...item };
+      fragments.push(current);
+      continue;
+    }
+    const space = gap > WORD_GAP * size && !/\s$/.test(current.text) && !/^\s/.test(item.text);
+    current.text += (space ? " " : "") + item.text;
+    current.x1 = Math.max(current.x1, item.x1);
+    current.size = size;
+  }
+  for (const f of fragments) f.text = f.text.replace(/\s+/g, " ").trim();
+  return fragments;
+}
+
+const rowText = (row) => row.fragments.map((f) => f.text).join(" ");
+
+// Headers and footers compared without their numbers, so "Page 3" matches "Page 4".
+const marginKey = (row) => rowText(row).toLowerCase().replace(/\d+/g, "#");
+
+function isMargin(layer, row) {
+  const zone = (layer.top - layer.bottom) * MARGIN_ZONE;
+  return row.y >= layer.top - zone || row.y <= layer.bottom + zone;
+}
+
+// Keys of margin rows found on at least half of the pages (and on two or more).
+function repeatedMargins(layers) {
+  const counts = new Map();
+  for (const layer of layers) {
+    if (!layer.rows) continue;
+    const keys = new Set(layer.rows.filter((row) => isMargin(layer, row)).map(marginKey));
+    for (const key of keys) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const min = Math.max(2, Math.ceil(layers.length / 2));
+  return new Set([...counts].filter(([, n]) => n >= min).map(([key]) => key));
+}
+
+// The most common font size, weighted by the amount of text set in it.
+function bodySize(layers) {
+  const weights = new Map();
+  for (const layer of layers) {
+    for (const row of layer.rows || []) {
+      for (const f of row.fragments) {
+        const size = Math.round(f.size * 2) / 2;
+        weights.set(size, (weights.get(size) || 0) + f.text.length);
+      }
+    }
+  }
+  let best = 0;
+  let bestWeight = -1;
+  for (const [size, weight] of weights) {
+    if (weight > bestWeight) [best, bestWeight] = [size, weight];
+  }
+  return best || 1;
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+// X positions of column gutters: gaps that many rows leave empty, that few
+// rows cross, and that have running text (not table cells) on both sides.
+function findGutters(rows, pageWidth) {
+  const candidates = new Set();
+  for (const row of rows) {
+    for (let i = 1; i < row.fragments.length; i++) {
+      candidates.add(Math.round((row.fragments[i - 1].x1 + row.fragments[i].x0) / 4) * 2);
+    }
+  }
+  const scored = [];
+  for (const x of candidates) {
+    let crossing = 0;
+    const left = [];
+    const right = [];
+    for (const row of rows) {
+      if (row.fragments.some((f) => f.x0 < x && f.x1 > x)) {
+        crossing++;
+        continue;
+      }
+      const l = row.fragments.filter((f) => f.x1 <= x);
+      const r = row.fragments.filter((f) => f.x0 >= x);
+      if (l.length && r.length) {
+        left.push(...l.map((f) => f.text.length));
+        right.push(...r.map((f) => f.text.length));
+      }
+    }
+    const empty = Math.min(left.length, right.length);
+    if (empty < 4 || empty < rows.length * 0.3 || crossing > empty / 2) continue;
+    if (median(left) < MIN_COLUMN_CHARS || median(right) < MIN_COLUMN_CHARS) continue;
+    scored.push({ x, empty });
+  }
+  // Neighbouring candidates are usually the same gutter; keep the best of each.
+  const gutters = [];
+  for (const { x } of scored.sort((a, b) => b.empty - a.empty)) {
+    if (gutters.every((g) => Math.abs(g - x) > pageWidth * 0.05)) gutters.push(x);
+  }
+  return gutters.sort((a, b) => a - b);
+}
+
+// Whether a row runs across the page rather than sitting in columns: it
+// crosses a gutter, or it is a row of short cells on both sides of one (a
+// full-width table).
+function spansColumns(row, gutters) {
+  return gutters.some(
+    (g) =>
+      row.fragments.some((f) => f.x0 < g && f.x1 > g) ||
+      (row.fragments.some((f) => f.x1 <= g) &&
+        row.fragments.some((f) => f.x0 >= g) &&
+        median(row.fragments.map((f) => f.text.length)) < MIN_COLUMN_CHARS)
+  );
+}
+
+// Lines in reading order. On a multi-column page, rows that span the columns
+// (titles, full-width tables, footers) stay in place and the column text
+// between them is read one column at a time.
+function readingOrder(rows, gutters) {
+  const lines = [];
+  let columns = gutters.map(() => []).concat([[]]);
+  const flush = () => {
+    for (const column of columns) lines.push(...column);
+    columns = columns.map(() => []);
+  };
+  const line = (row, fragments) => ({ y: row.y, size: Math.max(...fragments.map((f) => f.size)), cells: fragments });
+
+  for (const row of rows) {
+    if (!gutters.length || spansColumns(row, gutters)) {
+      flush();
+      lines.push(line(row, row.fragments));
+      continue;
+    }
+    const byColumn = new Map();
+    for (const f of row.fragments) {
+      const c = gutters.filter((g) => g <= f.x0).length;
+      byColumn.set(c, [...(byColumn.get(c) || []), f]);
+    }
+    for (const [c, fragments] of byColumn) columns[c].push(line(row, fragments));
+  }
+  flush();
+  return lines;
+}
+
+// Appends `next` to a paragraph, rejoining words hyphenated across lines.
+function joinLine(text, next) {
+  if (/\p{L}[-\u00AD]$/u.test(text) && /^\p{Ll}/u.test(next)) return text.slice(0, -1) + next;
+  return `${text} ${next}`;
+}
+
+// Table rows from lines of cells, each cell placed in the column whose left
+// edge (taken from the row with the most cells) is nearest to its own.
+function tableMarkdown(lines) {
+  const widest = lines.reduce((a, b) => (b.cells.length > a.cells.length ? b : a));
+  const anchors = widest.cells.map((c) => c.x0);
+  const rows = lines.map((ln) => {
+    const cells = anchors.map(() => "");
+    for (const cell of ln.cells) {
+      let col = 0;
+      anchors.forEach((x, i) => {
+        if (Math.abs(x - cell.x0) < Math.abs(anchors[col] - cell.x0)) col = i;
+      });
+      cells[col] = cells[col] ? `${cells[col]} ${cell.text}` : cell.text;
+    }
+    return cells;
+  });
+  return toMarkdownTable(rows);
+}
+
+function headingLevel(size, body) {
+  const ratio = size / body;
+  if (ratio < HEADING_RATIO) return 0;
+  return ratio >= 1.8 ? 1 : ratio >= 1.4 ? 2 : 3;
+}
+
+// Whether `next` is another row of the table that `line` belongs to: it has
+// several cells and sits just below.
+function tableContinues(line, next) {
+  return !!next && next.cells.length > 1 && line.y - next.y > 0 && line.y - next.y <= 2.5 * line.size;
+}
+
+// Markdown blocks from lines in reading order.
+function blocksOf(lines, body) {
+  const blocks = [];
+  let paragraph = null;
+  const close = () => {
+    if (paragraph) blocks.push(paragraph.text);
+    paragraph = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const ln = lines[i];
+    if (ln.cells.length > 1 && tableContinues(ln, lines[i + 1])) {
+      let end = i + 1;
+      while (tableContinues(lines[end], lines[end + 1])) end++;
+      close();
+      blocks.push(tableMarkdown(lines.slice(i, end + 1)));
+      i = end;
+      continue;
+    }
+
+    const text = ln.cells.map((c) => c.text).join(" ");
+    const level = headingLevel(ln.size, body);
+    const gap = paragraph ? paragraph.y - ln.y : 0;
+    const continues =
+      paragraph &&
+      paragraph.level === level &&
+      Math.abs(paragraph.size - ln.size) < 1 &&
+      gap > 0 &&
+      gap <= PARAGRAPH_GAP * ln.size &&
+      (!BULLET.test(text) || level > 0);
+
+    if (continues) {
+      paragraph.text = joinLine(paragraph.text, text);
+      paragraph.y = ln.y;
+      continue;
+    }
+    close();
+    const start = level ? `${"#".repeat(level)} ${text}` : text.replace(BULLET, "- ");
+    paragraph = { text: start, y: ln.y, size: ln.size, level };
+  }
+  close();
+  return blocks;
+}
+
+// Markdown for each layer from readTextLayer, in page order.
+export function layoutPages(layers) {
+  const margins = repeatedMargins(layers);
+  const body = bodySize(layers);
+  return layers.map((layer) => {
+    if (!layer.rows) return layer.plain || "";
+    const rows = layer.rows.filter((row) => !(isMargin(layer, row) && margins.has(marginKey(row))));
+    const lines = readingOrder(rows, findGutters(rows, layer.width));
+    return blocksOf(lines, body).join("\n\n");
+  });
+}
@@ -0,0 +1,9 @@
+import { GlobalWorkerOptions, getDocument } from "pdfjs-dist";
+import workerSrc from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+
+// pdf.js for the browser build, with its worker served as a Vite asset.
+GlobalWorkerOptions.workerSrc = workerSrc;
+
+export { getDocument };
+
+export const documentOptions = {};
@@ -0,0 +1,13 @@
+import { fileURLToPath } from "node:url";
+import { GlobalWorkerOptions, getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+
+// pdf.js for Node (the CLI). The legacy build runs without DOM globals, and
+// canvases for OCR come from @napi-rs/canvas, which pdf.js loads itself.
+GlobalWorkerOptions.workerSrc = import.meta.resolve("pdfjs-dist/legacy/build/pdf.worker.mjs");
+
+export { getDocument };
+
+// Node has no URLs to fetch the standard fonts from, so they are read from disk.
+export const documentOptions = {
+  standardFontDataUrl: fileURLToPath(new URL("standard_fonts/", import.meta.resolve("pdfjs-dist/package.json"))),
+};
@@ -0,0 +1,72 @@
+import { readSse } from "../sse.js";
+import { toGeminiSchema } from "../schema.js";
+import { SafetyError, httpError } from "../errors.js";
+
+// Finish reasons that mean the reply was withheld or cut off by a filter.
+const BLOCKED = ["SAFETY", "PROHIBITED_CONTENT", "BLOCKLIST", "SPII", "RECITATION"];
+
+// Google Gemini (generateContent / streamGenerateContent REST API). With an
+// `apiKey` the browser calls Gemini directly; without one, requests go to the
+// API proxy at `proxyUrl` (see server/), which adds the key server-side and
+// calls `model` only if it serves that model.
+export function createGeminiProvider({ apiKey, model, baseUrl, proxyUrl }) {
+  function endpoint(stream) {
+    if (!apiKey) return `${proxyUrl}/summarise${stream ? "?alt=sse" : ""}`;
+    return `${baseUrl}/models/${model}:${stream ? "streamGenerateContent?alt=sse" : "generateContent"}`;
+  }
+
+  async function post(stream, { prompt, temperature = 0.3, json = false, schema, signal }) {
+    const res = await fetch(endpoint(stream), {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(apiKey && { "x-goog-api-key": apiKey }) },
+      signal,
+      body: JSON.stringify({
+        ...(!apiKey && { model }),
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature,
+          ...(json && { responseMimeType: "application/json" }),
+          ...(json && schema && { responseSchema: toGeminiSchema(schema) }),
+        },
+      }),
+    });
+    if (!res.ok) throw await httpError(res, "Gemini");
+    return res;
+  }
+
+  // Text of a (streamed or complete) response, throwing if it was blocked.
+  function textOf(data) {
+    const blockReason = data?.promptFeedback?.blockReason;
+    if (blockReason) {
+      throw new SafetyError(`Gemini refused the document (${blockReason}).`, { reason: blockReason });
+    }
+    const candidate = data?.candidates?.[0];
+    if (BLOCKED.includes(candidate?.finishReason)) {
+      throw new SafetyError(`Gemini stopped its reply (${candidate.finishReason}).`, {
+        reason: candidate.finishReason,
+      });
+    }
+    return (candidate?.content?.parts || []).map((p) => p.text || "").join("");
+  }
+
+  return {
+    id: "gemini",
+    label: "Gemini",
+    model,
+    contextTokens: 1048576,
+    structuredOutput: true,
+
+    async generate(request) {
+      const res = await post(false, request);
+      return textOf(await res.json());
+    },
+
+    async *stream(request) {
+      const res = await post(true, request);
+      for await (const data of readSse(res)) {
+        const text = textOf(JSON.parse(data));
+        if (text) yield text;
+      }
+    },
+  };
+}
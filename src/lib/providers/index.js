@@ -0,0 +1,35 @@
+import { config } from "../config.js";
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+
+// Every provider exposes the same shape:
+//   { id, label, model, contextTokens, structuredOutput,
+//     generate({ prompt, temperature, json, schema, signal }), stream({ ...same }) }
+// where generate resolves to the model's raw text reply and stream is an async
+// generator yielding that reply in text fragments as they arrive. `schema` (see
+// schema.js) constrains a JSON reply where the API supports it, and aborting
+// `signal` cancels the request. Failures are thrown as the typed errors in
+// errors.js.
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+};
+
+export const PROVIDER_IDS = Object.keys(FACTORIES);
+
+let current = null;
+
+// A provider of type `id` with `options` layered over its configuration.
+export function createProvider(id, options = {}) {
+  const factory = FACTORIES[id];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${id}" (expected one of: ${PROVIDER_IDS.join(", ")})`);
+  }
+  return factory({ ...config[id], ...options });
+}
+
+// The provider selected by VITE_LLM_PROVIDER, created once.
+export function getProvider() {
+  current ||= createProvider(config.provider);
+  return current;
+}
@@ -0,0 +1,66 @@
+import { readSse } from "../sse.js";
+import { SafetyError, httpError } from "../errors.js";
+
+// Any OpenAI-compatible chat-completions server: OpenAI itself, or a local
+// Ollama (http://localhost:11434/v1) / llama.cpp (http://localhost:8080/v1).
+export function createOpenAIProvider({ baseUrl, apiKey, model, contextTokens, structuredOutput }) {
+  // With a schema, servers that support it constrain the reply to that shape;
+  // otherwise we can only ask for some JSON object.
+  function responseFormat(schema) {
+    return schema
+      ? { type: "json_schema", json_schema: { name: "response", schema } }
+      : { type: "json_object" };
+  }
+
+  function checkFinish(choice) {
+    if (choice?.finish_reason === "content_filter") {
+      throw new SafetyError(`${model} stopped its reply (content filter).`, { reason: "content_filter" });
+    }
+  }
+
+  async function post({ prompt, temperature = 0.3, json = false, schema, signal }, stream) {
+    const res = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      signal,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+        stream,
+        ...(json && structuredOutput && { response_format: responseFormat(schema) }),
+      }),
+    });
+    if (!res.ok) throw await httpError(res, model);
+    return res;
+  }
+
+  return {
+    id: "openai",
+    label: "OpenAI-compatible",
+    model,
+    contextTokens,
+    structuredOutput,
+
+    async generate(request) {
+      const res = await post(request, false);
+      const choice = (await res.json())?.choices?.[0];
+      checkFinish(choice);
+      return choice?.message?.content ?? "";
+    },
+
+    async *stream(request) {
+      const res = await post(request, true);
+      for await (const data of readSse(res)) {
+        if (data === "[DONE]") return;
+        const choice = JSON.parse(data)?.choices?.[0];
+        checkFinish(choice);
+        const text = choice?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  };
+}
@@ -0,0 +1,274 @@
+// Masks personal data before text is sent to a model. Findings come from
+// regex detectors plus the user's own terms; each distinct value gets a
+// stable placeholder such as [PERSON_1], and placeholders in the model's
+// reply are swapped back locally, so the real values never leave the browser.
+
+const STORAGE_KEY = "precis.redaction";
+
+// IBAN check digits: the rearranged number read as base 36 is 1 mod 97.
+function validIban(value) {
+  const iban = value.replace(/\s+/g, "").toUpperCase();
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (ch) => ch.charCodeAt(0) - 55);
+  let rest = 0;
+  for (const d of digits) rest = (rest * 10 + Number(d)) % 97;
+  return rest === 1;
+}
+
+// Card numbers pass the Luhn check.
+function validCard(value) {
+  const digits = value.replace(/\D/g, "");
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+const phoneDigits = (value) => value.replace(/\D/g, "").length;
+
+// `value` is the named group when there is one, else the whole match.
+// `compact` values are compared ignoring spaces and punctuation.
+export const PII_DETECTORS = [
+  {
+    id: "email",
+    label: "Email addresses",
+    type: "EMAIL",
+    pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+  },
+  {
+    id: "phone",
+    label: "Phone numbers",
+    type: "PHONE",
+    compact: true,
+    pattern: /(?:\+|\b00)\d{1,3}[\s./-]?(?:\(0?\d{1,5}\)[\s./-]?)?\d(?:[\s./-]?\d){4,12}\b|\(0?\d{2,5}\)[\s./-]?\d(?:[\s./-]?\d){4,10}\b|\b0\d{2,5}[\s./-]\d(?:[\s./-]?\d){4,10}\b|\b\d{3}[.-]\d{3}[.-]\d{4}\b/g,
+    valid: (value) => phoneDigits(value) >= 7 && phoneDigits(value) <= 15,
+  },
+  {
+    id: "iban",
+    label: "IBANs",
+    type: "IBAN",
+    compact: true,
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    valid: validIban,
+  },
+  {
+    id: "card",
+    label: "Card numbers",
+    type: "CARD",
+    compact: true,
+    pattern: /\b\d{4}(?:[ -]?\d{4}){2}[ -]?\d{1,7}\b/g,
+    valid: (value) => validCard(value) && /^\d{13,19}$/.test(value.replace(/\D/g, "")),
+  },
+  {
+    id: "national_id",
+    label: "National ID numbers (US SSN, UK NI)",
+    type: "ID",
+    compact: true,
+    pattern: /\b\d{3}-\d{2}-\d{4}\b|\b[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+  },
+  {
+    id: "person",
+    label: "Names after a title (Mr, Ms, Dr…)",
+    type: "PERSON",
+    pattern:
+      /\b(?:Mr|Mrs|Ms|Miss|Mx|Dr|Prof|Herr|Frau|Mme|Mlle|Sr|Sra)\.? (?<value>\p{Lu}[\p{L}'’]+(?:[ -]\p{Lu}[\p{L}'’]+){0,2})/gu,
+  },
+];
+
+// Types for user-defined terms.
+export const TERM_TYPES = [
+  { value: "PERSON", label: "Person" },
+  { value: "ORG", label: "Organisation" },
+  { value: "PLACE", label: "Place" },
+  { value: "OTHER", label: "Other" },
+];
+
+// {enabled, detectors: {id: on}, terms: [{text, type}]}
+export const DEFAULT_RULES = {
+  enabled: false,
+  detectors: Object.fromEntries(PII_DETECTORS.map((d) => [d.id, true])),
+  terms: [],
+};
+
+export function loadRedactionRules() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (!saved || typeof saved !== "object") return DEFAULT_RULES;
+    return {
+      enabled: !!saved.enabled,
+      detectors: { ...DEFAULT_RULES.detectors, ...saved.detectors },
+      terms: Array.isArray(saved.terms) ? saved.terms.filter((t) => t && typeof t.text === "string" && t.text.trim()) : [],
+    };
+  } catch {
+    return DEFAULT_RULES;
+  }
+}
+
+export function saveRedactionRules(rules) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Letters or digits on either side mean the match is part of a longer word.
+const bounded = (source) => `(?<![\\p{L}\\p{N}])(?:${source})(?![\\p{L}\\p{N}])`;
+
+function normalise(value, compact) {
+  return compact ? value.replace(/[^\p{L}\p{N}]/gu, "").toUpperCase() : value.replace(/\s+/g, " ").toLowerCase();
+}
+
+// Matches in `text` as {start, end, value, type, compact}; of overlapping
+// matches the earliest, then the longest, wins.
+function scan(text, rules) {
+  const found = [];
+  for (const detector of PII_DETECTORS) {
+    if (!rules.detectors[detector.id]) continue;
+    for (const m of text.matchAll(detector.pattern)) {
+      const value = m.groups?.value ?? m[0];
+      if (detector.valid && !detector.valid(value)) continue;
+      const start = m.index + m[0].lastIndexOf(value);
+      found.push({ start, end: start + value.length, value, type: detector.type, compact: detector.compact });
+    }
+  }
+  for (const term of rules.terms) {
+    const pattern = new RegExp(bounded(escapeRegExp(term.text.trim()).replace(/\s+/g, "\\s+")), "giu");
+    for (const m of text.matchAll(pattern)) {
+      found.push({ start: m.index, end: m.index + m[0].length, value: m[0], type: term.type || "OTHER" });
+    }
+  }
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const out = [];
+  let end = 0;
+  for (const f of found) {
+    if (f.start < end) continue;
+    out.push(f);
+    end = f.end;
+  }
+  return out;
+}
+
+// Personal data in `doc` under `rules`, one finding per distinct value:
+// {key, type, value, placeholder, variants, count, masked}. `variants` are
+// the spellings seen in the text and `masked` starts true; the review screen
+// may clear it. Placeholders are numbered per type in order of appearance.
+export function findPii(doc, rules) {
+  const byKey = new Map();
+  const perType = new Map();
+  for (const segment of doc.segments) {
+    for (const match of scan(segment.text, rules)) {
+      const key = `${match.type}:${normalise(match.value, match.compact)}`;
+      let finding = byKey.get(key);
+      if (!finding) {
+        const n = (perType.get(match.type) || 0) + 1;
+        perType.set(match.type, n);
+        finding = { key, type: match.type, value: match.value, placeholder: `[${match.type}_${n}]`, variants: [], count: 0, masked: true };
+        byKey.set(key, finding);
+      }
+      if (!finding.variants.includes(match.value)) finding.variants.push(match.value);
+    }
+  }
+  // Count every occurrence that will be masked, not only the detector hits:
+  // a name found after "Mr" is also masked where it stands alone.
+  const findings = [...byKey.values()];
+  const matcher = variantMatcher(findings);
+  if (matcher) {
+    const byPlaceholder = new Map(findings.map((f) => [f.placeholder, f]));
+    for (const segment of doc.segments) {
+      for (const [m] of segment.text.matchAll(matcher.pattern)) byPlaceholder.get(matcher.lookup.get(m.toLowerCase())).count++;
+    }
+  }
+  return findings;
+}
+
+// Findings from several documents as one list with one placeholder per
+// value, e.g. to send several redacted summaries in one prompt.
+export function mergeFindings(lists) {
+  const byKey = new Map();
+  const perType = new Map();
+  for (const finding of lists.flat()) {
+    const known = byKey.get(finding.key);
+    if (known) {
+      known.count += finding.count;
+      known.masked ||= finding.masked;
+      for (const v of finding.variants) if (!known.variants.includes(v)) known.variants.push(v);
+      continue;
+    }
+    const n = (perType.get(finding.type) || 0) + 1;
+    perType.set(finding.type, n);
+    byKey.set(finding.key, { ...finding, variants: [...finding.variants], placeholder: `[${finding.type}_${n}]` });
+  }
+  return [...byKey.values()];
+}
+
+// A pattern for every spelling of the masked findings and a lookup from the
+// lower-cased match to its placeholder, or null if none are masked.
+function variantMatcher(findings) {
+  const lookup = new Map();
+  for (const f of findings) {
+    if (!f.masked) continue;
+    for (const v of f.variants) lookup.set(v.toLowerCase(), f.placeholder);
+  }
+  if (!lookup.size) return null;
+  const variants = [...lookup.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return { pattern: new RegExp(bounded(variants.join("|")), "giu"), lookup };
+}
+
+function masker(findings) {
+  const matcher = variantMatcher(findings);
+  return matcher && ((text) => text.replace(matcher.pattern, (m) => matcher.lookup.get(m.toLowerCase()) ?? m));
+}
+
+// Applies `fn` to every string in a JSON-like value.
+function mapStrings(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map((v) => mapStrings(v, fn));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+  }
+  return value;
+}
+
+// Replaces the masked findings in every string of `value` (text, a result, a
+// chat history…) with their placeholders.
+export function redactValue(value, findings) {
+  const mask = masker(findings);
+  return mask ? mapStrings(value, mask) : value;
+}
+
+// `doc` with the masked findings replaced in every segment.
+export function redactDocument(doc, findings) {
+  const mask = masker(findings);
+  return mask ? { ...doc, segments: doc.segments.map((s) => ({ ...s, text: mask(s.text) })) } : doc;
+}
+
+// Placeholder-like tokens (PERSON_1, ID_2…) written in each document, so a
+// bare one in a reply is only taken for a dropped bracket when the document
+// never had it.
+const tokensByDoc = new WeakMap();
+
+function placeholderTokens(doc) {
+  if (!tokensByDoc.has(doc)) {
+    const text = doc.segments.map((s) => s.text).join("\n");
+    tokensByDoc.set(doc, new Set(text.match(/(?<![\p{L}\p{N}_])\p{Lu}+_\d+(?![\p{L}\p{N}_])/gu)));
+  }
+  return tokensByDoc.get(doc);
+}
+
+// Puts the real values back in place of the placeholders in every string of
+// `value`. Models sometimes drop the brackets, so bare names are restored too,
+// but only those not found in any of `sources`, the original documents the
+// reply is about; without them only bracketed placeholders are restored.
+export function restorePii(value, findings, sources = []) {
+  const lookup = new Map(findings.filter((f) => f.masked).map((f) => [f.placeholder.slice(1, -1), f.value]));
+  if (!lookup.size) return value;
+  const written = sources.filter(Boolean).map(placeholderTokens);
+  const order = (names) => names.sort((a, b) => b.length - a.length).join("|");
+  const names = order([...lookup.keys()]);
+  const bare = order([...lookup.keys()].filter((name) => written.length && !written.some((t) => t.has(name))));
+  const pattern = bare
+    ? new RegExp(`\\[(${names})\\]|(?<![\\p{L}\\p{N}_])(${bare})(?![\\p{L}\\p{N}_])`, "gu")
+    : new RegExp(`\\[(${names})\\]`, "g");
+  return mapStrings(value, (text) => text.replace(pattern, (m, bracketed, found) => lookup.get(bracketed || found)));
+}
@@ -0,0 +1,73 @@
+import { chunkText } from "./chunkText.js";
+
+// Local BM25 retrieval over a document's segments, so questions about a
+// document only send the passages that matter to the model.
+
+// Passages longer than this are split so one long page cannot crowd out
+// everything else in the prompt.
+const PASSAGE_CHARS = 1000;
+const K1 = 1.2;
+const B = 0.75;
+
+// Question words and fillers that would otherwise match almost any passage.
+const STOPWORDS = new Set(
+  `a an and are as at be but by can could do does did for from had has have how i if in into is it its
+  me my of on or our so than that the their them then there these they this those to was we were what
+  when where which who whom why will with would you your about any tell explain say says said document
+  text please`.split(/\s+/)
+);
+
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+    (t) => !STOPWORDS.has(t) && (t.length > 1 || /\p{N}/u.test(t))
+  );
+}
+
+// Words are compared by their first letters so "increase" matches
+// "increased" without a stemmer for every language.
+export const stem = (word) => word.slice(0, 6);
+
+// Splits the document into passages (each tagged with the segment number it
+// came from) and precomputes the term statistics BM25 needs.
+export function buildIndex(doc) {
+  const passages = doc.segments.flatMap((s) =>
+    s.text.trim() ? chunkText(s.text, PASSAGE_CHARS).map((text) => ({ n: s.n, text })) : []
+  );
+  const docs = passages.map((p) => {
+    const terms = tokenize(p.text);
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    return { tf, length: terms.length };
+  });
+  const df = new Map();
+  for (const { tf } of docs) {
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  }
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  return { unit: doc.unit, passages, docs, df, avgLength };
+}
+
+// Top `k` passages for `query`, best first, as {n, text, score}. Passages
+// sharing no terms with the query are never returned, and neither are ones
+// scoring far below the best match, so an empty result means the document
+// has nothing relevant to say.
+export function retrieve(index, query, { k = 5, minRelative = 0.25 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  const N = index.passages.length;
+  const scored = index.docs.map(({ tf, length }, i) => {
+    let score = 0;
+    for (const t of terms) {
+      const f = tf.get(t);
+      if (!f) continue;
+      const df = index.df.get(t);
+      const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+      score += (idf * f * (K1 + 1)) / (f + K1 * (1 - B + (B * length) / index.avgLength));
+    }
+    return { ...index.passages[i], score };
+  });
+
+  const ranked = scored.filter((p) => p.score > 0).sort((a, b) => b.score - a.score);
+  if (!ranked.length) return [];
+  const cutoff = ranked[0].score * minRelative;
+  return ranked.filter((p) => p.score >= cutoff).slice(0, k);
+}
@@ -0,0 +1,56 @@
+// A small JSON Schema subset used to describe and check model replies:
+// `type` (a name or a list of names, "null" included), `properties`,
+// `required`, `items` and `enum`. Unknown keywords are ignored.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// Returns a list of human-readable problems, empty when `value` matches.
+export function validate(schema, value, path = "$") {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length && !types.includes(actual) && !(actual === "integer" && types.includes("number"))) {
+    return [`${path} should be ${types.join(" or ")}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`];
+  }
+
+  const errors = [];
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is missing`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(sub, value[key], `${path}.${key}`));
+    }
+  } else if (actual === "array" && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+// Gemini's responseSchema is an OpenAPI-style subset: upper-case type names,
+// `nullable` instead of a "null" type, and `propertyOrdering` so fields are
+// generated in the order we stream them.
+export function toGeminiSchema(schema) {
+  const types = [].concat(schema.type || []);
+  const nonNull = types.filter((t) => t !== "null");
+  const out = {};
+  if (nonNull.length) out.type = nonNull[0].toUpperCase();
+  if (types.includes("null")) out.nullable = true;
+  if (schema.enum) out.enum = schema.enum;
+  if (schema.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, sub]) => [key, toGeminiSchema(sub)])
+    );
+    out.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.required) out.required = schema.required;
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  return out;
+}
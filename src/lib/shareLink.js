@@ -0,0 +1,150 @@
+import { deflateSync, inflateSync, strToU8, strFromU8 } from "fflate";
+import { getMode, modeSchema } from "./modes.js";
+import { validate } from "./schema.js";
+import { SUMMARY_SCHEMA } from "./summarise.js";
+
+// Read-only links to a finished summary. The result is compressed into the
+// URL fragment, which browsers never send to a server, so sharing needs no
+// backend: "#s=..." is plain, "#e=..." is encrypted with a passphrase
+// (PBKDF2 + AES-GCM; the salt and IV are stored in front of the ciphertext).
+
+const PLAIN = "s";
+const ENCRYPTED = "e";
+const VERSION = 1;
+// Longest fragment we create. Browsers accept far more, but chat apps and
+// mail clients start cutting links off well before it.
+export const MAX_SHARE_CHARS = 32000;
+const PBKDF2_ITERATIONS = 250000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, [
+    "deriveKey",
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// What a link must hold to be shown: a result in the shape model replies are
+// checked against, with the fields of its mode, and plain strings around it.
+function payloadSchema(mode) {
+  const result = modeSchema(getMode(mode), SUMMARY_SCHEMA);
+  const text = { type: "string" };
+  return {
+    type: "object",
+    properties: {
+      fileName: text,
+      length: text,
+      language: text,
+      result: {
+        ...result,
+        properties: { ...result.properties, mode: text, modeLabel: text, unit: text, provider: text, model: text },
+      },
+    },
+    required: ["result"],
+  };
+}
+
+// Only what the read-only view and the exports need: the summary, key
+// points and the fields of its mode, without run state such as `cached`.
+function sharedResult(result) {
+  const fields = Object.keys(getMode(result.mode).fields || {});
+  const keep = ["summary", "key_points", "mode", "modeLabel", "unit", "provider", "model", "extractive", ...fields];
+  return Object.fromEntries(keep.filter((key) => result[key] !== undefined).map((key) => [key, result[key]]));
+}
+
+// The "#s=..." or "#e=..." fragment for {fileName, length, result, language}.
+// Throws when the compressed result is longer than MAX_SHARE_CHARS.
+export async function createShareFragment({ fileName, length, result, language }, { passphrase = "" } = {}) {
+  const payload = { v: VERSION, fileName, length, language, result: sharedResult(result) };
+  let bytes = deflateSync(strToU8(JSON.stringify(payload)), { level: 9 });
+  if (passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt);
+    const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes));
+    bytes = new Uint8Array(SALT_BYTES + IV_BYTES + sealed.length);
+    bytes.set(salt);
+    bytes.set(iv, SALT_BYTES);
+    bytes.set(sealed, SALT_BYTES + IV_BYTES);
+  }
+  const fragment = `#${passphrase ? ENCRYPTED : PLAIN}=${toBase64Url(bytes)}`;
+  if (fragment.length > MAX_SHARE_CHARS) {
+    throw new Error(
+      `This summary is too long for a link (${fragment.length.toLocaleString()} characters, limit ${MAX_SHARE_CHARS.toLocaleString()}). Download it and share the file instead.`
+    );
+  }
+  return fragment;
+}
+
+// A full link to the current page with the shared result as its fragment.
+export async function createShareLink(data, options) {
+  const url = new URL(window.location.href);
+  url.hash = "";
+  return `${url.href}${await createShareFragment(data, options)}`;
+}
+
+// "plain" or "encrypted" for a share fragment, null for any other hash.
+export function shareLinkKind(hash) {
+  const match = /^#([se])=[\w-]+$/.exec(hash || "");
+  if (!match) return null;
+  return match[1] === ENCRYPTED ? "encrypted" : "plain";
+}
+
+// Reads a fragment made by createShareFragment back into
+// {fileName, length, result, language}. Encrypted links need the passphrase;
+// a wrong one, a damaged link or one whose result is not in the expected
+// shape throws.
+export async function readShareFragment(hash, { passphrase = "" } = {}) {
+  const kind = shareLinkKind(hash);
+  if (!kind) throw new Error("Not a summary link.");
+  let bytes;
+  try {
+    bytes = fromBase64Url(hash.slice(3));
+  } catch {
+    throw new Error("This link is damaged or incomplete.");
+  }
+  if (kind === "encrypted") {
+    if (!passphrase) throw new Error("This link is protected by a passphrase.");
+    const salt = bytes.subarray(0, SALT_BYTES);
+    const iv = bytes.subarray(SALT_BYTES, SALT_BYTES + IV_BYTES);
+    try {
+      const key = await deriveKey(passphrase, salt);
+      bytes = new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, bytes.subarray(SALT_BYTES + IV_BYTES)));
+    } catch {
+      throw new Error("Wrong passphrase, or the link is damaged.");
+    }
+  }
+  let payload;
+  try {
+    payload = JSON.parse(strFromU8(inflateSync(bytes)));
+  } catch {
+    throw new Error("This link is damaged or incomplete.");
+  }
+  if (payload?.v !== VERSION) {
+    throw new Error("This link was made by a different version of the app and cannot be opened.");
+  }
+  if (validate(payloadSchema(payload.result?.mode), payload).length) {
+    throw new Error("This link is damaged or incomplete.");
+  }
+  return { fileName: payload.fileName, length: payload.length, language: payload.language, result: payload.result };
+}
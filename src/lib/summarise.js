@@ -0,0 +1,226 @@
+import { chunkDocument, citationRule } from "./document.js";
+import { getProvider } from "./providers/index.js";
+import { generateJson, inputBudget, languageRule } from "./llm.js";
+import { getMode, modeSchema, modeShape } from "./modes.js";
+import { templateMode } from "./templates.js";
+import { extractiveSummary } from "./extractive.js";
+
+const TARGETS = {
+  short: "≈80-120 words",
+  medium: "≈150-250 words",
+  long: "≈300-450 words",
+};
+
+// Every reply, streamed or not, must end up in this shape, plus the fields of
+// its mode (see modes.js).
+export const SUMMARY_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: { type: "string" },
+    key_points: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          text: { type: "string" },
+          sources: { type: "array", items: { type: "integer" } },
+        },
+        required: ["text", "sources"],
+      },
+    },
+  },
+  required: ["summary", "key_points"],
+};
+
+// Key points are {text, sources}; plain strings (no citation) and numeric
+// strings as sources are accepted too.
+function toKeyPoint(kp) {
+  if (typeof kp === "string") return { text: kp, sources: [] };
+  if (!kp || typeof kp.text !== "string") return kp;
+  const sources = Array.isArray(kp.sources) ? kp.sources.map(Number).filter(Number.isInteger) : [];
+  return { text: kp.text, sources };
+}
+
+// Numeric strings in the "sources" of mode list items (action items, clauses).
+function repairSources(item) {
+  if (!item || typeof item !== "object" || !Array.isArray(item.sources)) return item;
+  return { ...item, sources: item.sources.map(Number).filter(Number.isInteger) };
+}
+
+// Fixes the near misses models commonly produce before validation.
+function repairSummary(value) {
+  if (!value || typeof value !== "object" || !Array.isArray(value.key_points)) return value;
+  const out = { ...value, key_points: value.key_points.map(toKeyPoint) };
+  for (const [key, field] of Object.entries(out)) {
+    if (key !== "key_points" && Array.isArray(field)) out[key] = field.map(repairSources);
+  }
+  return out;
+}
+
+// Streamed prefixes only ever contain complete key points, but may lack fields.
+function previewSummary(partial) {
+  return {
+    ...partial,
+    summary: typeof partial.summary === "string" ? partial.summary : "",
+    key_points: (partial.key_points || []).map(toKeyPoint).filter((kp) => typeof kp?.text === "string"),
+  };
+}
+
+// Runs a summary-shaped model call for `options.mode`, streaming it when
+// `onPartial` is given.
+function generateSummary(provider, prompt, { mode, signal }, onPartial) {
+  return generateJson(provider, prompt, {
+    schema: modeSchema(mode, SUMMARY_SCHEMA),
+    signal,
+    repair: repairSummary,
+    onPartial: onPartial && ((partial) => onPartial(previewSummary(partial))),
+  });
+}
+
+function modeRules(mode) {
+  return mode.rules.map((r) => `- ${r}\n`).join("");
+}
+
+function summaryPrompt(text, { target, unit, language, mode }) {
+  return `
+${mode.role}
+Respond ONLY as strict JSON:
+${modeShape(mode)}
+
+Rules:
+- length: ${target}
+${modeRules(mode)}- language: ${languageRule(language)}
+- cite sources: ${citationRule(unit)}
+- if input empty/garbled: "summary" is "No readable content." and every other field is empty
+
+TEXT:
+"""${text}"""
+`;
+}
+
+function chunkPrompt(text, index, total, { unit, language, mode }) {
+  return `
+${mode.role}
+You are working on part ${index} of ${total} of a longer document.
+Respond ONLY as strict JSON:
+${modeShape(mode)}
+
+Rules:
+- summarise only this part; another step will merge all parts
+- ≈150-300 words
+${modeRules(mode)}- language: ${languageRule(language)}
+- cite sources: ${citationRule(unit)}
+- if this part is empty/garbled: leave every field empty
+
+TEXT (part ${index} of ${total}):
+"""${text}"""
+`;
+}
+
+function mergePrompt(partials, { target, language, mode }) {
+  return `
+${mode.role}
+Below are results for consecutive parts of ONE document, in order. Merge them
+into a single result for the whole document. Respond ONLY as strict JSON:
+${modeShape(mode)}
+
+Rules:
+- length: ${target}
+- cover every part, not just the first ones
+- merge duplicate key points and list entries; keep the most important ones
+- keep the "sources" of every entry you use (union them when merging)
+${modeRules(mode)}- language: ${languageRule(language)}
+
+PART SUMMARIES:
+${JSON.stringify(partials, null, 1)}
+`;
+}
+
+// Merges partial summaries, first in groups if they would not fit in one
+// prompt themselves.
+async function mergePartials(provider, partials, options, onPartial) {
+  const budget = inputBudget(provider);
+  const sizes = partials.map((p) => JSON.stringify(p).length);
+  const total = sizes.reduce((a, b) => a + b, 0);
+  if (total <= budget || partials.length < 2) {
+    options.onProgress?.({ stage: "model", label: `Merging ${partials.length} partial summaries`, value: null });
+    return generateSummary(provider, mergePrompt(partials, options), options, onPartial);
+  }
+
+  const groups = [[]];
+  let groupSize = 0;
+  partials.forEach((p, i) => {
+    if (groupSize + sizes[i] > budget && groups.at(-1).length > 1) {
+      groups.push([]);
+      groupSize = 0;
+    }
+    groups.at(-1).push(p);
+    groupSize += sizes[i];
+  });
+  const merged = [];
+  for (const group of groups) {
+    options.onProgress?.({
+      stage: "model",
+      label: `Merging partial summaries (group ${merged.length + 1} of ${groups.length})`,
+      value: merged.length / groups.length,
+    });
+    merged.push(await generateSummary(provider, mergePrompt(group, { ...options, target: TARGETS.long }), options));
+  }
+  return mergePartials(provider, merged, options, onPartial);
+}
+
+// Summarises an extracted document (see document.js). `language` is the
+// output language code (see languages.js); without it the model answers in the
+// document's language. `mode` picks a built-in mode from modes.js, unless a
+// user `template` (see templates.js) is given. The final model call is
+// streamed when the provider supports it; `onPartial` receives the growing
+// result object. `onProgress` receives {stage, label, value} updates for each
+// model call, and aborting `signal` cancels the request in flight. A local
+// mode such as "extractive" needs no provider and ignores `language`.
+export async function summarise({
+  doc,
+  length = "medium",
+  language,
+  mode: modeId = "standard",
+  template,
+  provider = getProvider(),
+  onPartial,
+  onProgress,
+  signal,
+}) {
+  if (!template && getMode(modeId).local) {
+    const mode = getMode(modeId);
+    const out = extractiveSummary(doc, { length });
+    return { ...out, chunks: 1, provider: "local", model: "TextRank", unit: doc.unit, mode: mode.id, modeLabel: mode.label };
+  }
+
+  const lengthTarget = TARGETS[length] || TARGETS.medium;
+  const mode = template
+    ? templateMode(template, { target: lengthTarget, language, unit: doc.unit })
+    : getMode(modeId);
+  const options = { target: mode.target || lengthTarget, unit: doc.unit, language, mode, signal, onProgress };
+  const chunks = chunkDocument(doc, inputBudget(provider));
+  const meta = { provider: provider.id, model: provider.model, unit: doc.unit, mode: mode.id, modeLabel: mode.label };
+
+  if (chunks.length <= 1) {
+    onProgress?.({ stage: "model", label: `Waiting for ${provider.model}`, value: null });
+    const out = await generateSummary(provider, summaryPrompt(chunks[0] || "", options), options, onPartial);
+    return { ...out, chunks: 1, ...meta };
+  }
+
+  // Map-reduce: summarise each chunk on its own, then merge the partial
+  // summaries so nothing past the model window is silently dropped.
+  const partials = [];
+  for (let i = 0; i < chunks.length; i++) {
+    onProgress?.({
+      stage: "model",
+      label: `Summarising part ${i + 1} of ${chunks.length}`,
+      value: i / chunks.length,
+    });
+    const part = await generateSummary(provider, chunkPrompt(chunks[i], i + 1, chunks.length, options), options);
+    if (part.summary || part.key_points?.length) partials.push(part);
+  }
+
+  const out = await mergePartials(provider, partials, options, onPartial);
+  return { ...out, chunks: chunks.length, ...meta };
+}
@@ -0,0 +1,87 @@
+import { getProvider } from "./providers/index.js";
+import { generateJson, inputBudget, languageRule } from "./llm.js";
+
+const TARGETS = {
+  short: "≈120-180 words",
+  medium: "≈200-350 words",
+  long: "≈400-600 words",
+};
+
+const FINDINGS = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      point: { type: "string" },
+      documents: { type: "array", items: { type: "string" } },
+    },
+    required: ["point", "documents"],
+  },
+};
+
+// Every reply must end up as {summary, agreements, conflicts}.
+const SYNTHESIS_SCHEMA = {
+  type: "object",
+  properties: { summary: { type: "string" }, agreements: FINDINGS, conflicts: FINDINGS },
+  required: ["summary", "agreements", "conflicts"],
+};
+
+// Models sometimes leave out an empty list or name a document by number.
+function repairSynthesis(value) {
+  if (!value || typeof value !== "object") return value;
+  const findings = (list = []) =>
+    Array.isArray(list)
+      ? list.map((f) => (Array.isArray(f?.documents) ? { ...f, documents: f.documents.map(String) } : f))
+      : list;
+  return { ...value, agreements: findings(value.agreements), conflicts: findings(value.conflicts) };
+}
+
+function synthesisPrompt(documents, target, language) {
+  return `
+You are given summaries of ${documents.length} separate documents. Write one
+combined summary across all of them. Respond ONLY as strict JSON:
+{"summary":"...",
+ "agreements":[{"point":"...","documents":["name", "..."]}],
+ "conflicts":[{"point":"...","documents":["name", "..."]}]}
+
+Rules:
+- length: ${target}
+- "agreements": facts, conclusions or figures that several documents share
+- "conflicts": places where documents disagree or give different figures; say what each one claims
+- "documents" lists the exact document names involved
+- concise & neutral
+- keep names, numbers, definitions
+- language: ${languageRule(language)}
+
+DOCUMENTS:
+${JSON.stringify(documents, null, 1)}
+`;
+}
+
+// Produces one combined summary across several already summarised documents.
+// `documents` are {name, summary, key_points}. Aborting `signal` cancels the
+// model call.
+export async function synthesise({ documents, length = "medium", language, provider = getProvider(), signal }) {
+  const target = TARGETS[length] || TARGETS.medium;
+  const budget = inputBudget(provider);
+
+  let input = documents.map((d) => ({
+    name: d.name,
+    summary: d.summary,
+    key_points: d.key_points.map((kp) => kp.text),
+  }));
+  // Drop key points first if everything does not fit in one prompt.
+  if (JSON.stringify(input).length > budget) {
+    input = input.map(({ name, summary }) => ({ name, summary }));
+  }
+  if (JSON.stringify(input).length > budget) {
+    throw new Error(`Too many documents to synthesise with ${provider.model}'s context window. Try fewer files.`);
+  }
+
+  const out = await generateJson(provider, synthesisPrompt(input, target, language), {
+    schema: SYNTHESIS_SCHEMA,
+    repair: repairSynthesis,
+    signal,
+  });
+  return { ...out, provider: provider.id, model: provider.model };
+}
@@ -0,0 +1,47 @@
+import { languageLabel } from "./languages.js";
+
+// User-defined prompt templates, kept in localStorage. A template is
+// {id, name, prompt}; the prompt replaces the built-in instructions and may
+// use the variables below. Replies keep the standard {summary, key_points}
+// shape so they render, cite and export like any other summary.
+
+const STORAGE_KEY = "precis.templates";
+
+export const TEMPLATE_VARIABLES = [
+  { name: "length", description: "target length, e.g. ≈150-250 words" },
+  { name: "language", description: "output language, e.g. German" },
+  { name: "unit", description: "what citations refer to: page, slide or paragraph" },
+];
+
+export function loadTemplates() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list.filter((t) => t && t.id && typeof t.prompt === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveTemplates(templates) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+}
+
+// Fills in {variable} placeholders; unknown ones are left as written.
+export function renderTemplate(prompt, values) {
+  return prompt.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+}
+
+// A summary mode (see modes.js) that follows a user template.
+export function templateMode(template, { target, language, unit }) {
+  const instructions = renderTemplate(template.prompt, {
+    length: target,
+    language: language ? languageLabel(language) : "the language of the document",
+    unit,
+  });
+  return {
+    id: "custom",
+    label: template.name || "Custom template",
+    role: `You are a document summariser. Follow these instructions:\n${instructions.trim()}`,
+    rules: [],
+  };
+}
@@ -0,0 +1,282 @@
+import { buildIndex, retrieve, stem, tokenize } from "./retrieve.js";
+import { getProvider } from "./providers/index.js";
+import { generateJson } from "./llm.js";
+import { languageLabel } from "./languages.js";
+
+// Checks a summary against the text it came from. Every key point, and every
+// number or date in the summary, is matched to the passages that support it:
+// locally by shared words and figures, and optionally by a second model call
+// that judges the claims against that evidence.
+
+export const VERDICTS = [
+  { id: "supported", label: "Supported" },
+  { id: "partial", label: "Partially supported" },
+  { id: "unsupported", label: "Unsupported" },
+];
+
+// Share of a key point's words found in its best passage for each verdict.
+const SUPPORTED_COVERAGE = 0.75;
+const PARTIAL_COVERAGE = 0.45;
+// Longest evidence snippet shown or sent to the judge.
+const SNIPPET_CHARS = 320;
+
+const MONTHS =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+// Dates first, so "15 March 2024" is one figure rather than two numbers.
+const FIGURE_PATTERN = new RegExp(
+  [
+    `\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})\\.?,?\\s+\\d{4}\\b`,
+    `\\b(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b`,
+    `\\b(?:${MONTHS})\\.?\\s+\\d{4}\\b`,
+    `\\b\\d{4}-\\d{2}-\\d{2}\\b`,
+    `\\b\\d{1,2}[./]\\d{1,2}[./]\\d{2,4}\\b`,
+    `[-−]?\\d+(?:[,.'\\u00a0\\u202f]\\d{3})*(?:[.,]\\d+)?(?:\\s?%)?`,
+  ].join("|"),
+  "giu"
+);
+const NUMBER_PATTERN = /\d+(?:[,.'\u00a0\u202f]\d{3})*(?:[.,]\d+)?/g;
+
+// The values a written number may stand for: "1,234.5" and "1.234,5" are
+// both 1234.5, and "1,5" may be 1.5 or 15 depending on the locale.
+function numberValues(token) {
+  const plain = token.replace(/['\u00a0\u202f]/g, "");
+  const values = new Set([Number(plain.replace(/,/g, "")), Number(plain.replace(/\./g, "").replace(",", "."))]);
+  return [...values].filter(Number.isFinite);
+}
+
+// Numbers in `text` as {text, values}.
+function numbersIn(text) {
+  return (text.match(NUMBER_PATTERN) || []).map((token) => ({ text: token, values: numberValues(token) }));
+}
+
+function hasNumber(values, number) {
+  return number.values.some((v) => values.has(v));
+}
+
+// Every value of every number in `text`, for quick lookups.
+function valueSet(text) {
+  return new Set(numbersIn(text).flatMap((n) => n.values));
+}
+
+function stemsIn(text) {
+  return new Set(tokenize(text).filter((t) => !/^\d+$/.test(t)).map(stem));
+}
+
+// The sentences of `text` that best cover `stems` and `numbers`, cut to
+// SNIPPET_CHARS.
+function snippet(text, stems, numbers) {
+  const sentences = text.replace(/\s+/g, " ").trim().split(/(?<=[.!?])\s+/);
+  const score = (s) => {
+    const words = stemsIn(s);
+    const values = valueSet(s);
+    return [...stems].filter((w) => words.has(w)).length + 2 * numbers.filter((n) => hasNumber(values, n)).length;
+  };
+  let best = 0;
+  sentences.forEach((s, i) => {
+    if (score(s) > score(sentences[best])) best = i;
+  });
+  let out = sentences[best].trim();
+  const next = sentences[best + 1]?.trim();
+  if (next && out.length + next.length < SNIPPET_CHARS / 2) out = `${out} ${next}`;
+  return out.length > SNIPPET_CHARS ? `${out.slice(0, SNIPPET_CHARS).trimEnd()}…` : out;
+}
+
+// Passages worth checking a claim against: those of its cited segments
+// plus the best BM25 matches.
+function candidates(index, claim, sources = []) {
+  const cited = index.passages.filter((p) => sources.includes(p.n));
+  const found = retrieve(index, claim, { k: 4, minRelative: 0.1 });
+  const seen = new Set();
+  return [...cited, ...found].filter((p) => {
+    const key = `${p.n}:${p.text}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Candidate passages for `claim`, best first, each with the share of the
+// claim's words and numbers it contains as `coverage`.
+function rank(index, claim, sources) {
+  const stems = stemsIn(claim);
+  const numbers = numbersIn(claim);
+  return candidates(index, claim, sources)
+    .map((p) => {
+      const words = stemsIn(p.text);
+      const values = valueSet(p.text);
+      const shared = [...stems].filter((w) => words.has(w)).length;
+      const figures = numbers.filter((n) => hasNumber(values, n)).length;
+      const total = stems.size + numbers.length;
+      return { ...p, coverage: total ? (shared + figures) / total : 0 };
+    })
+    .sort((a, b) => b.coverage - a.coverage);
+}
+
+// Local verdict on one claim: how many of its words the best passage
+// shares, and whether each of its numbers occurs in the document at all.
+// A number found nowhere makes the claim unsupported however well the
+// words match.
+function checkClaim(index, allValues, claim, sources) {
+  const stems = stemsIn(claim);
+  const numbers = numbersIn(claim);
+  const missing = numbers.filter((n) => !hasNumber(allValues, n));
+  const ranked = rank(index, claim, sources);
+
+  const coverage = ranked[0]?.coverage || 0;
+  const verdict = missing.length
+    ? "unsupported"
+    : coverage >= SUPPORTED_COVERAGE
+      ? "supported"
+      : coverage >= PARTIAL_COVERAGE
+        ? "partial"
+        : "unsupported";
+  const evidence = ranked
+    .filter((p, i) => i === 0 || p.coverage >= PARTIAL_COVERAGE)
+    .slice(0, 2)
+    .filter((p) => p.coverage > 0)
+    .map((p) => ({ n: p.n, text: snippet(p.text, stems, numbers) }));
+  return {
+    verdict,
+    coverage: Math.round(coverage * 100) / 100,
+    missing: missing.map((n) => n.text),
+    evidence,
+  };
+}
+
+// The sentence of `text` around position `at`.
+function sentenceAt(text, at) {
+  const start = Math.max(text.lastIndexOf(". ", at), text.lastIndexOf("\n", at));
+  const end = text.slice(at).search(/[.!?](?:\s|$)/);
+  return text.slice(start + 1, end === -1 ? text.length : at + end + 1).trim();
+}
+
+// Numbers and dates in `text` as {text, start, end}.
+export function figuresIn(text) {
+  return [...text.matchAll(FIGURE_PATTERN)]
+    .map((m) => ({ text: m[0].trim(), start: m.index, end: m.index + m[0].trimEnd().length }))
+    .filter((f) => /\d/.test(f.text));
+}
+
+// Checks `result` against `doc` without calling a model. Returns
+// {keyPoints, figures, judged: false}: `keyPoints[i]` is the check of
+// result.key_points[i] and `figures` lists each number or date in the
+// summary with its position; every check is
+// {verdict, coverage, missing, evidence: [{n, text}]}, where `missing` are
+// numbers found nowhere in the document and `evidence` the closest passages.
+export function verifyResult(doc, result) {
+  const index = buildIndex(doc);
+  const allValues = new Set(doc.segments.flatMap((s) => [...valueSet(s.text)]));
+  const keyPoints = (result.key_points || []).map((kp) => checkClaim(index, allValues, kp.text, kp.sources));
+
+  const summary = result.summary || "";
+  const figures = figuresIn(summary).map((figure) => {
+    // A figure is supported when a passage about its sentence states it,
+    // and partially when its numbers only occur elsewhere.
+    const context = sentenceAt(summary, figure.start);
+    const numbers = numbersIn(figure.text);
+    const missing = numbers.filter((n) => !hasNumber(allValues, n));
+    const states = (p) => numbers.every((n) => hasNumber(valueSet(p.text), n));
+    const ranked = rank(index, context, []);
+    const near = ranked.find(states);
+    const source = near || index.passages.find(states) || ranked[0];
+    const verdict = missing.length ? "unsupported" : near ? "supported" : "partial";
+    return {
+      ...figure,
+      context,
+      verdict,
+      coverage: near?.coverage || 0,
+      missing: missing.map((n) => n.text),
+      evidence: source ? [{ n: source.n, text: snippet(source.text, stemsIn(context), numbers) }] : [],
+    };
+  });
+  return { keyPoints, figures, judged: false };
+}
+
+const JUDGE_SCHEMA = {
+  type: "object",
+  properties: {
+    verdicts: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          verdict: { type: "string", enum: VERDICTS.map((v) => v.id) },
+          reason: { type: "string" },
+        },
+        required: ["id", "verdict", "reason"],
+      },
+    },
+  },
+  required: ["verdicts"],
+};
+
+// "Partially supported" and other near misses, and numeric ids.
+function repairJudgement(value) {
+  if (!value || typeof value !== "object" || !Array.isArray(value.verdicts)) return value;
+  const verdicts = value.verdicts.map((v) => {
+    const verdict = String(v?.verdict || "").toLowerCase();
+    return {
+      ...v,
+      id: String(v?.id ?? "").replace(/^\[|\]$/g, ""),
+      verdict: verdict.startsWith("partial") ? "partial" : verdict.startsWith("not") ? "unsupported" : verdict,
+      reason: v?.reason ?? "",
+    };
+  });
+  return { ...value, verdicts };
+}
+
+function judgePrompt(claims, language) {
+  const blocks = claims.map(
+    (c) =>
+      `[${c.id}] CLAIM: ${c.claim}\n${c.evidence.length ? c.evidence.map((e) => `EVIDENCE: ${e.text}`).join("\n") : "EVIDENCE: (none found)"}`
+  );
+  return `
+Each claim below comes from a summary of a document and is followed by the passages of that
+document that are closest to it. Judge whether the evidence supports each claim.
+Respond ONLY as strict JSON: {"verdicts":[{"id":"K1","verdict":"supported","reason":"..."}]}
+
+Rules:
+- "supported": the evidence states everything the claim says, numbers and dates included
+- "partial": the evidence supports part of the claim, or the claim overstates or generalises it
+- "unsupported": the evidence does not state the claim, or contradicts it, or a number differs
+- judge ONLY against the evidence shown; do not use outside knowledge
+- "reason": one short sentence, ${language ? `in ${languageLabel(language)}` : "in the language of the claims"}
+- one verdict per claim id
+
+CLAIMS:
+${blocks.join("\n\n")}
+`;
+}
+
+// Asks the model to judge every checked claim against its evidence and
+// returns `verification` with its verdicts in place of the local ones, each
+// with a `reason`, and `judged: true`. Claims the model skips keep their
+// local verdict.
+export async function judgeVerification({ result, verification, language, provider = getProvider(), signal }) {
+  const claims = [
+    ...verification.keyPoints.map((check, i) => ({ id: `K${i + 1}`, claim: result.key_points[i].text, evidence: check.evidence })),
+    ...verification.figures.map((check, i) => ({ id: `F${i + 1}`, claim: check.context, evidence: check.evidence })),
+  ];
+  if (!claims.length) return { ...verification, judged: true };
+  const out = await generateJson(provider, judgePrompt(claims, language), {
+    schema: JUDGE_SCHEMA,
+    repair: repairJudgement,
+    signal,
+  });
+  const byId = new Map(out.verdicts.map((v) => [v.id, v]));
+  // A number that occurs nowhere in the document stays unsupported whatever
+  // the model says.
+  const apply = (prefix) => (check, i) => {
+    const judged = byId.get(`${prefix}${i + 1}`);
+    if (!judged) return check;
+    const verdict = check.missing.length ? "unsupported" : judged.verdict;
+    return { ...check, verdict, reason: judged.reason.trim(), localVerdict: check.verdict };
+  };
+  return {
+    keyPoints: verification.keyPoints.map(apply("K")),
+    figures: verification.figures.map(apply("F")),
+    judged: true,
+    model: provider.model,
+  };
+}
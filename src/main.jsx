@@ -1,12 +1,21 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import SharedResultView from "./components/SharedResultView.jsx";
+import { shareLinkKind } from "./lib/shareLink";
 
 
 import "./index.css"; 
 
+// Share links open a read-only view of the summary instead of the app. A
+// link pasted into an open tab only changes the hash, so start over then.
+const hash = window.location.hash;
+window.addEventListener("hashchange", () => {
+  if (shareLinkKind(window.location.hash) || shareLinkKind(hash)) window.location.reload();
+});
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
-    <App />
+    {shareLinkKind(hash) ? <SharedResultView hash={hash} /> : <App />}
   </React.StrictMode>
 );
@@ -7,4 +7,10 @@ export default defineConfig({
   plugins: [react(),
     tailwindcss()
   ],
+  server: {
+    // The API proxy (npm run server) holds the Gemini key
+    proxy: {
+      '/api': 'http://localhost:8787',
+    },
+  },
 })